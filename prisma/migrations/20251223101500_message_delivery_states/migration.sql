@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "deliveredAt" TIMESTAMP(3),
+ADD COLUMN     "readAt" TIMESTAMP(3);
+
+-- Backfill: messages already marked read were necessarily delivered
+UPDATE "messages" SET "deliveredAt" = "createdAt", "readAt" = "createdAt" WHERE "read" = true;
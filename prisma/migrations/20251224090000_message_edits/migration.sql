@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "editedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "message_revisions" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "message_revisions_messageId_createdAt_idx" ON "message_revisions"("messageId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "message_revisions" ADD CONSTRAINT "message_revisions_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "hidden_messages" (
+    "messageId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "hidden_messages_pkey" PRIMARY KEY ("messageId","userId")
+);
+
+-- CreateIndex
+CREATE INDEX "hidden_messages_userId_idx" ON "hidden_messages"("userId");
+
+-- AddForeignKey
+ALTER TABLE "hidden_messages" ADD CONSTRAINT "hidden_messages_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "hidden_messages" ADD CONSTRAINT "hidden_messages_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+-- Kept in sync with "content" by PostgreSQL; Prisma never writes it
+ALTER TABLE "messages" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (to_tsvector('english', "content")) STORED;
+
+-- CreateIndex
+CREATE INDEX "messages_searchVector_idx" ON "messages" USING GIN ("searchVector");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "deviceName" TEXT,
+ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "userAgent" TEXT;
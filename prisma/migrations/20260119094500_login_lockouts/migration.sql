@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "login_lockouts" (
+    "id" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT,
+    "ipAddress" TEXT,
+    "failedAttempts" INTEGER NOT NULL,
+    "lockedUntil" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "login_lockouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "login_lockouts_userId_idx" ON "login_lockouts"("userId");
+
+-- CreateIndex
+CREATE INDEX "login_lockouts_ipAddress_idx" ON "login_lockouts"("ipAddress");
+
+-- AddForeignKey
+ALTER TABLE "login_lockouts" ADD CONSTRAINT "login_lockouts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
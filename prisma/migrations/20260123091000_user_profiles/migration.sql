@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "avatarAttachmentId" TEXT,
+ADD COLUMN     "avatarUrl" TEXT,
+ADD COLUMN     "bio" TEXT,
+ADD COLUMN     "displayName" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_avatarAttachmentId_key" ON "users"("avatarAttachmentId");
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_avatarAttachmentId_fkey" FOREIGN KEY ("avatarAttachmentId") REFERENCES "attachments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "message_requests" (
+    "id" TEXT NOT NULL,
+    "senderId" TEXT NOT NULL,
+    "receiverId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "message_requests_receiverId_status_createdAt_idx" ON "message_requests"("receiverId", "status", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "message_requests_senderId_receiverId_key" ON "message_requests"("senderId", "receiverId");
+
+-- AddForeignKey
+ALTER TABLE "message_requests" ADD CONSTRAINT "message_requests_senderId_fkey" FOREIGN KEY ("senderId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_requests" ADD CONSTRAINT "message_requests_receiverId_fkey" FOREIGN KEY ("receiverId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Users who already share a direct chat are accepted contacts; the request is
+-- attributed to whoever sent the first message
+INSERT INTO "message_requests" ("id", "senderId", "receiverId", "status", "respondedAt", "createdAt")
+SELECT gen_random_uuid()::text, pairs."senderId", pairs."receiverId", 'accepted', pairs."createdAt", pairs."createdAt"
+FROM (
+    SELECT DISTINCT ON (LEAST(m."senderId", m."receiverId"), GREATEST(m."senderId", m."receiverId"))
+        m."senderId", m."receiverId", m."createdAt"
+    FROM "messages" m
+    WHERE m."conversationId" IS NULL AND m."receiverId" IS NOT NULL
+    ORDER BY LEAST(m."senderId", m."receiverId"), GREATEST(m."senderId", m."receiverId"), m."createdAt" ASC
+) pairs;
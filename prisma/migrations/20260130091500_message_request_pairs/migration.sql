@@ -0,0 +1,20 @@
+-- Two strangers messaging each other at the same moment could each open a
+-- request. Keep the older one per pair; since both sides wrote, it counts as
+-- accepted, the same as replying to a request.
+UPDATE "message_requests" kept
+SET "status" = 'accepted', "respondedAt" = COALESCE(kept."respondedAt", CURRENT_TIMESTAMP)
+FROM "message_requests" other
+WHERE other."senderId" = kept."receiverId"
+  AND other."receiverId" = kept."senderId"
+  AND (kept."createdAt", kept."id") < (other."createdAt", other."id");
+
+DELETE FROM "message_requests" dropped
+USING "message_requests" other
+WHERE other."senderId" = dropped."receiverId"
+  AND other."receiverId" = dropped."senderId"
+  AND (other."createdAt", other."id") < (dropped."createdAt", dropped."id");
+
+-- CreateIndex
+-- At most one request per pair of users, whichever of them sent it (not
+-- expressible in schema.prisma)
+CREATE UNIQUE INDEX "message_requests_pair_key" ON "message_requests"(LEAST("senderId", "receiverId"), GREATEST("senderId", "receiverId"));
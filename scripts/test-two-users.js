@@ -60,6 +60,34 @@ User 1 Token: ${token1.substring(0, 20)}...
 User 2 Token: ${token2.substring(0, 20)}...
 `);
 
+// The first message between two users who have never chatted arrives as a
+// message request and is held until accepted. Accept it right away so the
+// rest of the conversation shows up as message:received.
+const handleMessageRequests = (socket, token, label) => {
+  socket.on('message:request', async (data) => {
+    console.log(`\n📬 ${label} received a message request:`);
+    console.log(`   From: ${data.sender.username}`);
+    console.log(`   Content: ${data.message.content}`);
+
+    try {
+      const response = await fetch(`${serverUrl}/api/messages/requests/${data.requestId}/accept`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        console.error(`❌ ${label} could not accept the request:`, body.message || response.status);
+      }
+    } catch (error) {
+      console.error(`❌ ${label} could not accept the request:`, error.message);
+    }
+  });
+
+  socket.on('message:request_accepted', (data) => {
+    console.log(`\n🤝 ${label} sees: message request ${data.requestId} accepted, the chat is open`);
+  });
+};
+
 // Connect User 1
 console.log('\n🔌 Connecting User 1...');
 const socket1 = io(serverUrl, {
@@ -80,6 +108,8 @@ socket1.on('connect', () => {
     console.log(`   Time: ${new Date(message.createdAt).toLocaleString()}`);
   });
 
+  handleMessageRequests(socket1, token1, 'User 1');
+
   socket1.on('user:status', (data) => {
     console.log(`\n👤 User 1 sees: User ${data.userId} is ${data.status ? 'ONLINE' : 'OFFLINE'}`);
   });
@@ -109,6 +139,8 @@ socket1.on('connect', () => {
         console.log(`   Time: ${new Date(message.createdAt).toLocaleString()}`);
       });
 
+      handleMessageRequests(socket2, token2, 'User 2');
+
       socket2.on('user:status', (data) => {
         console.log(`\n👤 User 2 sees: User ${data.userId} is ${data.status ? 'ONLINE' : 'OFFLINE'}`);
       });
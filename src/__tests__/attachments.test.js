@@ -0,0 +1,210 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import express from 'express';
+import dotenv from 'dotenv';
+import prisma from '../config/database.js';
+import authRoutes from '../routes/authRoutes.js';
+import attachmentRoutes from '../routes/attachmentRoutes.js';
+import storageService from '../services/storageService.js';
+import { LocalStorageDriver } from '../services/storage/localDriver.js';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/attachments', attachmentRoutes);
+
+// A 1x1 PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+describe('Attachments API', () => {
+  const stamp = Date.now();
+  let uploadDir;
+  let alice;
+  let bob;
+  let carol;
+
+  const register = async (name) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: `attach_${name}_${stamp}`,
+        email: `attach_${name}_${stamp}@example.com`,
+        password: 'testpassword123',
+      });
+    return { id: response.body.data.user.id, token: response.body.data.token };
+  };
+
+  const upload = (user, content, fileName, contentType) => request(app)
+    .post('/api/attachments')
+    .set('Authorization', `Bearer ${user.token}`)
+    .attach('file', content, { filename: fileName, contentType });
+
+  const download = (user, attachmentId) => request(app)
+    .get(`/api/attachments/${attachmentId}`)
+    .set('Authorization', `Bearer ${user.token}`);
+
+  const uploadText = async (user, text = 'Meeting notes') => {
+    const response = await upload(user, Buffer.from(text), 'notes.txt', 'text/plain').expect(201);
+    return response.body.data.attachment;
+  };
+
+  // Attach an uploaded file to a new message, as message:send does
+  const sendWith = async (attachment, data) => {
+    const message = await prisma.message.create({ data: { content: 'See attached', ...data } });
+    await prisma.attachment.update({ where: { id: attachment.id }, data: { messageId: message.id } });
+    return message;
+  };
+
+  beforeAll(async () => {
+    uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chat-attachments-'));
+    storageService.setDriver(new LocalStorageDriver(uploadDir));
+
+    alice = await register('alice');
+    bob = await register('bob');
+    carol = await register('carol');
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { id: { in: [alice.id, bob.id, carol.id] } } });
+    await prisma.$disconnect();
+    await fs.promises.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('POST /api/attachments', () => {
+    it('should store a file and describe it', async () => {
+      const attachment = await uploadText(alice);
+
+      expect(attachment).toMatchObject({
+        fileName: 'notes.txt',
+        mimeType: 'text/plain',
+        size: Buffer.byteLength('Meeting notes'),
+        url: `/api/attachments/${attachment.id}`,
+      });
+      expect(attachment).not.toHaveProperty('image');
+    });
+
+    it('should record the dimensions of an image', async () => {
+      const response = await upload(alice, PNG, 'dot.png', 'image/png').expect(201);
+
+      expect(response.body.data.attachment.image).toMatchObject({ width: 1, height: 1 });
+    });
+
+    it('should reject a type outside the allowlist', async () => {
+      const response = await upload(alice, Buffer.from('MZ'), 'setup.exe', 'application/x-msdownload').expect(415);
+
+      expect(response.body.error).toBe('Unsupported file type');
+      expect(response.body.allowedTypes).toContain('image/png');
+    });
+
+    it('should reject an image that does not decode', async () => {
+      const response = await upload(alice, Buffer.from('not really a png'), 'fake.png', 'image/png').expect(415);
+
+      expect(response.body.error).toBe('Invalid image');
+    });
+
+    it('should reject an image declared as another image type', async () => {
+      const response = await upload(alice, PNG, 'dot.jpg', 'image/jpeg').expect(415);
+
+      expect(response.body.error).toBe('Invalid image');
+    });
+
+    it('should reject a file over the size limit', async () => {
+      process.env.ATTACHMENT_MAX_BYTES = '8';
+      try {
+        const response = await upload(alice, Buffer.from('more than eight bytes'), 'big.txt', 'text/plain').expect(413);
+        expect(response.body).toMatchObject({ error: 'File too large', maxBytes: 8 });
+      } finally {
+        delete process.env.ATTACHMENT_MAX_BYTES;
+      }
+    });
+
+    it('should require a file', async () => {
+      const response = await request(app)
+        .post('/api/attachments')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .expect(400);
+
+      expect(response.body.error).toBe('No file provided');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/attachments')
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/attachments/:attachmentId', () => {
+    it('should let the uploader download it before it is sent', async () => {
+      const attachment = await uploadText(alice, 'Draft');
+
+      const response = await download(alice, attachment.id).expect(200);
+      expect(response.text).toBe('Draft');
+      expect(response.headers['content-type']).toMatch(/^text\/plain/);
+      expect(response.headers['content-disposition']).toMatch(/^attachment;/);
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+    });
+
+    it('should hide an unsent upload from everyone else', async () => {
+      const attachment = await uploadText(alice);
+
+      const response = await download(bob, attachment.id).expect(404);
+      expect(response.body.error).toBe('Attachment not found');
+    });
+
+    it('should let both sides of a direct chat download it, and no one else', async () => {
+      const attachment = await uploadText(alice, 'For bob');
+      await sendWith(attachment, { senderId: alice.id, receiverId: bob.id });
+
+      expect((await download(bob, attachment.id).expect(200)).text).toBe('For bob');
+      await download(carol, attachment.id).expect(404);
+    });
+
+    it('should only let current group members download it', async () => {
+      const conversation = await prisma.conversation.create({
+        data: {
+          name: 'Attachment test group',
+          createdById: alice.id,
+          participants: { create: [{ userId: alice.id, role: 'admin' }, { userId: bob.id }] },
+        },
+      });
+      const attachment = await uploadText(alice, 'For the group');
+      await sendWith(attachment, { senderId: alice.id, conversationId: conversation.id });
+
+      await download(bob, attachment.id).expect(200);
+      await download(carol, attachment.id).expect(404);
+
+      await prisma.participant.delete({
+        where: { conversationId_userId: { conversationId: conversation.id, userId: bob.id } },
+      });
+      await download(bob, attachment.id).expect(404);
+
+      await prisma.conversation.delete({ where: { id: conversation.id } });
+    });
+
+    it('should stop serving it once its message is deleted for everyone', async () => {
+      const attachment = await uploadText(alice);
+      const message = await sendWith(attachment, { senderId: alice.id, receiverId: bob.id });
+      await prisma.message.update({ where: { id: message.id }, data: { deletedAt: new Date() } });
+
+      await download(bob, attachment.id).expect(404);
+    });
+
+    it('should let anyone download an avatar', async () => {
+      const response = await upload(alice, PNG, 'me.png', 'image/png').expect(201);
+      const { id } = response.body.data.attachment;
+      await prisma.user.update({ where: { id: alice.id }, data: { avatarAttachmentId: id } });
+
+      const avatar = await download(carol, id).expect(200);
+      expect(avatar.headers['content-type']).toBe('image/png');
+      expect(avatar.headers['content-disposition']).toMatch(/^inline;/);
+    });
+  });
+});
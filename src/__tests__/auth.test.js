@@ -1,7 +1,20 @@
 import request from 'supertest';
 import express from 'express';
 import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as socketClient } from 'socket.io-client';
+import prisma from '../config/database.js';
 import authRoutes from '../routes/authRoutes.js';
+import { authenticateSocket } from '../middleware/auth.js';
+import socketService from '../services/socketService.js';
+import mailService from '../services/mailService.js';
+import loginThrottleService from '../services/loginThrottleService.js';
+import { FileTransport } from '../services/mail/fileTransport.js';
+import { generateCode, timeStep } from '../utils/totp.js';
 
 dotenv.config();
 
@@ -111,5 +124,443 @@ describe('Authentication API', () => {
       expect(response.body).toHaveProperty('error');
     });
   });
-});
 
+  describe('Sessions', () => {
+    let phoneSession = null;
+    let laptopToken = null;
+
+    beforeAll(async () => {
+      const phone = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1')
+        .send({ email: testUser.email, password: testUser.password });
+      phoneSession = phone.body.data.sessionId;
+
+      const laptop = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password, deviceName: 'Work laptop' });
+      laptopToken = laptop.body.data.token;
+    });
+
+    it('should list active sessions with device info', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(200);
+
+      const sessions = response.body.data.sessions;
+      const phone = sessions.find(session => session.id === phoneSession);
+      const current = sessions.find(session => session.current);
+
+      expect(phone.deviceName).toBe('Safari on iOS');
+      expect(phone.online).toBe(false);
+      expect(current.deviceName).toBe('Work laptop');
+    });
+
+    it('should sign out another device', async () => {
+      await request(app)
+        .delete(`/api/auth/sessions/${phoneSession}`)
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(200);
+
+      expect(response.body.data.sessions.map(session => session.id)).not.toContain(phoneSession);
+    });
+
+    it('should return 404 for an unknown session', async () => {
+      await request(app)
+        .delete('/api/auth/sessions/00000000-0000-0000-0000-000000000000')
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Refresh tokens and logout', () => {
+    const register = async (name) => {
+      const stamp = Date.now();
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: `${name}_${stamp}`,
+          email: `${name}_${stamp}@example.com`,
+          password: 'testpassword123',
+        });
+      return response.body.data;
+    };
+
+    const refresh = refreshToken => request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    const listSessions = token => request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${token}`);
+
+    it('should rotate the refresh token and retire the old one', async () => {
+      const tokens = await register('rotate');
+      const response = await refresh(tokens.refreshToken).expect(200);
+      const rotated = response.body.data;
+
+      expect(rotated).toHaveProperty('token');
+      expect(rotated.sessionId).toBe(tokens.sessionId);
+      expect(rotated.refreshToken).not.toBe(tokens.refreshToken);
+      await listSessions(rotated.token).expect(200);
+
+      // The same token is only good once
+      await refresh(tokens.refreshToken).expect(401);
+    });
+
+    it('should revoke the whole session when a rotated token is reused', async () => {
+      const tokens = await register('reuse');
+      const rotated = (await refresh(tokens.refreshToken).expect(200)).body.data;
+
+      const reused = await refresh(tokens.refreshToken).expect(401);
+      expect(reused.body.error).toBe('Refresh token reused');
+
+      // Neither the newest refresh token nor its access token work any more
+      const revoked = await refresh(rotated.refreshToken).expect(401);
+      expect(revoked.body.error).toBe('Session revoked');
+      await listSessions(rotated.token).expect(401);
+    });
+
+    it('should reject a malformed refresh token', async () => {
+      const response = await refresh('not-a-refresh-token').expect(401);
+      expect(response.body.error).toBe('Invalid refresh token');
+    });
+
+    describe('logout', () => {
+      let httpServer;
+      let io;
+
+      beforeAll((done) => {
+        httpServer = createServer();
+        io = new Server(httpServer);
+        socketService.initialize(io);
+        io.use(authenticateSocket);
+        io.on('connection', socket => socketService.handleConnection(socket));
+        httpServer.listen(done);
+      });
+
+      afterAll((done) => {
+        io.close();
+        httpServer.close(() => done());
+      });
+
+      it('should end the session and disconnect its sockets', async () => {
+        const session = await register('logout');
+        const socket = socketClient(`http://localhost:${httpServer.address().port}`, {
+          auth: { token: session.token },
+        });
+        await new Promise((resolve, reject) => {
+          socket.on('connect', resolve);
+          socket.on('connect_error', reject);
+        });
+
+        const revoked = new Promise(resolve => socket.on('session:revoked', resolve));
+        const disconnected = new Promise(resolve => socket.on('disconnect', resolve));
+
+        await request(app)
+          .post('/api/auth/logout')
+          .set('Authorization', `Bearer ${session.token}`)
+          .expect(200);
+
+        expect(await revoked).toEqual({ sessionId: session.sessionId, reason: 'logout' });
+        expect(await disconnected).toBe('io server disconnect');
+
+        await listSessions(session.token).expect(401);
+        await refresh(session.refreshToken).expect(401);
+      }, 10000);
+    });
+  });
+
+  describe('Password reset and email verification', () => {
+    let mailDir;
+    let transport;
+
+    const stamp = Date.now();
+    const password = 'testpassword123';
+
+    const register = async (name) => {
+      const email = `${name}_${stamp}@example.com`;
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: `${name}_${stamp}`, email, password });
+      const { user, token } = response.body.data;
+      return { id: user.id, token, email, emailVerified: user.emailVerified };
+    };
+
+    // Tokens mailed to an address with the given subject, oldest first
+    const mailedTokens = async (email, subject) => (await transport.list())
+      .filter(mail => mail.to === email && mail.subject === subject)
+      .map(mail => decodeURIComponent(mail.text.match(/token=(\S+)/)[1]));
+
+    const forgot = email => request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email });
+
+    const reset = (token, newPassword = 'brandnewpassword456') => request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: newPassword });
+
+    const login = (email, loginPassword) => request(app)
+      .post('/api/auth/login')
+      .send({ email, password: loginPassword });
+
+    beforeAll(async () => {
+      mailDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chat-auth-mail-'));
+      transport = new FileTransport(mailDir);
+      mailService.setTransport(transport);
+    });
+
+    afterAll(async () => {
+      mailService.setTransport(null);
+      await fs.promises.rm(mailDir, { recursive: true, force: true });
+    });
+
+    it('should answer the same for unknown emails and only mail real accounts', async () => {
+      const user = await register('forgot');
+
+      const known = await forgot(user.email).expect(200);
+      const unknown = await forgot(`nobody_${stamp}@example.com`).expect(200);
+
+      expect(unknown.body).toEqual(known.body);
+      expect(await mailedTokens(user.email, 'Reset your password')).toHaveLength(1);
+      expect(await mailedTokens(`nobody_${stamp}@example.com`, 'Reset your password')).toHaveLength(0);
+    });
+
+    it('should reset the password once and sign out every session', async () => {
+      const user = await register('reset');
+      await forgot(user.email).expect(200);
+      const [token] = await mailedTokens(user.email, 'Reset your password');
+
+      const response = await reset(token).expect(200);
+      expect(response.body.data.revokedSessions).toBeGreaterThanOrEqual(1);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect(401);
+      await login(user.email, password).expect(401);
+      await login(user.email, 'brandnewpassword456').expect(200);
+
+      const again = await reset(token, 'yetanotherpassword789').expect(400);
+      expect(again.body.error).toBe('Token already used');
+    });
+
+    it('should only accept the latest reset token', async () => {
+      const user = await register('relink');
+      await forgot(user.email).expect(200);
+      const [first] = await mailedTokens(user.email, 'Reset your password');
+      await forgot(user.email).expect(200);
+      const second = (await mailedTokens(user.email, 'Reset your password')).find(token => token !== first);
+
+      expect((await reset(first).expect(400)).body.error).toBe('Token already used');
+      await reset(second).expect(200);
+    });
+
+    it('should reject an expired reset token', async () => {
+      const user = await register('expired');
+      await forgot(user.email).expect(200);
+      const [token] = await mailedTokens(user.email, 'Reset your password');
+
+      await prisma.authToken.updateMany({
+        where: { userId: user.id, type: 'password_reset', usedAt: null },
+        data: { expiresAt: new Date(Date.now() - 1000) },
+      });
+
+      const response = await reset(token).expect(400);
+      expect(response.body.error).toBe('Token expired');
+      await login(user.email, password).expect(200);
+    });
+
+    it('should verify the email address with the token mailed at registration', async () => {
+      const user = await register('verify');
+      expect(user.emailVerified).toBe(false);
+      const [token] = await mailedTokens(user.email, 'Verify your email address');
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+      expect(response.body.data).toMatchObject({ userId: user.id, email: user.email });
+      expect(response.body.data.emailVerifiedAt).toBeTruthy();
+
+      const again = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+      expect(again.body.error).toBe('Token already used');
+    });
+
+    it('should not accept a reset token as a verification token', async () => {
+      const user = await register('wrongtype');
+      await forgot(user.email).expect(200);
+      const [token] = await mailedTokens(user.email, 'Reset your password');
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+      expect(response.body.error).toBe('Invalid token');
+    });
+  });
+
+  describe('Login lockout', () => {
+    const settings = ['LOGIN_FREE_ATTEMPTS', 'LOGIN_LOCKOUT_THRESHOLD'];
+    const saved = Object.fromEntries(settings.map(name => [name, process.env[name]]));
+
+    // Fresh counters with the given limits; the throttle reads them when rebuilt
+    const resetThrottle = ({ freeAttempts, threshold }) => {
+      process.env.LOGIN_FREE_ATTEMPTS = String(freeAttempts);
+      process.env.LOGIN_LOCKOUT_THRESHOLD = String(threshold);
+      loginThrottleService.setStore(null);
+    };
+
+    const register = async (name) => {
+      const stamp = Date.now();
+      const user = {
+        username: `${name}_${stamp}`,
+        email: `${name}_${stamp}@example.com`,
+        password: 'testpassword123',
+      };
+      const response = await request(app).post('/api/auth/register').send(user);
+      return { ...user, id: response.body.data.user.id };
+    };
+
+    const login = (email, password) => request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+
+    afterAll(() => {
+      for (const name of settings) {
+        if (saved[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = saved[name];
+        }
+      }
+      loginThrottleService.setStore(null);
+    });
+
+    it('should make the next attempt wait once the free attempts are used', async () => {
+      resetThrottle({ freeAttempts: 1, threshold: 10 });
+      const user = await register('backoff');
+
+      await login(user.email, 'wrongpassword').expect(401);
+      await login(user.email, 'wrongpassword').expect(401);
+
+      const response = await login(user.email, user.password).expect(429);
+      expect(response.body.error).toBe('Too many login attempts');
+      expect(response.body.message).toMatch(/^Too many failed login attempts/);
+      expect(response.headers['retry-after']).toBe(String(response.body.retryAfter));
+      expect(response.body.retryAfter).toBe(1);
+    });
+
+    it('should lock the account at the threshold and record the lockout', async () => {
+      resetThrottle({ freeAttempts: 10, threshold: 3 });
+      const user = await register('lockout');
+
+      await login(user.email, 'wrongpassword').expect(401);
+      await login(user.email, 'wrongpassword').expect(401);
+
+      const locked = await login(user.email, 'wrongpassword').expect(429);
+      expect(locked.body.message).toMatch(/^Login is temporarily locked/);
+      expect(locked.headers['retry-after']).toBe(String(locked.body.retryAfter));
+      expect(locked.body.retryAfter).toBeGreaterThan(14 * 60);
+      expect(locked.body.retryAfter).toBeLessThanOrEqual(15 * 60);
+
+      // Even the right password is refused until the lockout ends
+      const refused = await login(user.email, user.password).expect(429);
+      expect(refused.body.error).toBe('Too many login attempts');
+
+      const lockouts = await prisma.loginLockout.findMany({ where: { userId: user.id } });
+      expect(lockouts).toEqual([expect.objectContaining({ scope: 'account', email: user.email, failedAttempts: 3 })]);
+    });
+
+    it('should only lock the account that was guessed at', async () => {
+      resetThrottle({ freeAttempts: 10, threshold: 2 });
+      const target = await register('target');
+      const bystander = await register('bystander');
+
+      await login(target.email, 'wrongpassword').expect(401);
+      await login(target.email, 'wrongpassword').expect(429);
+
+      await login(bystander.email, bystander.password).expect(200);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    let accessToken = null;
+    let secret = null;
+    let recoveryCodes = null;
+
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+
+    beforeAll(async () => {
+      const response = await login();
+      accessToken = response.body.data.token;
+    });
+
+    it('should enroll and enable 2FA with a code from the app', async () => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      secret = setup.body.data.secret;
+      expect(setup.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: generateCode(secret) })
+        .expect(200);
+
+      recoveryCodes = enable.body.data.recoveryCodes;
+      expect(recoveryCodes).toHaveLength(10);
+    });
+
+    it('should require a second step to login', async () => {
+      const response = await login().expect(200);
+
+      expect(response.body.data.mfaRequired).toBe(true);
+      expect(response.body.data).not.toHaveProperty('token');
+
+      const second = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken: response.body.data.mfaToken, code: generateCode(secret, timeStep() + 1) })
+        .expect(200);
+
+      expect(second.body.data).toHaveProperty('token');
+    });
+
+    it('should accept a recovery code only once', async () => {
+      const first = await login();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken: first.body.data.mfaToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      const second = await login();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken: second.body.data.mfaToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should not accept the mfa token as an access token', async () => {
+      const response = await login();
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${response.body.data.mfaToken}`)
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as socketClient } from 'socket.io-client';
+import Redis from 'ioredis';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { MemoryPresenceStore } from '../services/cluster/memoryPresenceStore.js';
+import { RedisPresenceStore } from '../services/cluster/redisPresenceStore.js';
+import { startRespStandIn } from './helpers/respStandIn.js';
+
+// Resolve once check() returns true, polling every few milliseconds
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('Presence stores', () => {
+  let standIn;
+  let clients;
+
+  const connect = () => {
+    const client = new Redis(standIn.url, { retryStrategy: () => 50 });
+    client.on('error', () => {});
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(async () => {
+    standIn = await startRespStandIn();
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.quit()));
+    await standIn.close();
+  });
+
+  it.each([
+    ['memory', () => new MemoryPresenceStore()],
+    ['redis', () => new RedisPresenceStore(connect(), { serverId: 'a' })],
+  ])('should count a user\'s sockets (%s)', async (driver, createStore) => {
+    const store = createStore();
+
+    expect(await store.add('user-1', 'socket-1')).toBe(1);
+    expect(await store.add('user-1', 'socket-2')).toBe(2);
+    expect(await store.remove('user-1', 'socket-1')).toBe(1);
+    expect(await store.filterOnline(['user-1', 'user-2'])).toEqual(new Set(['user-1']));
+    expect(await store.remove('user-1', 'socket-2')).toBe(0);
+  });
+
+  it('should share presence between servers through Redis', async () => {
+    const serverA = new RedisPresenceStore(connect(), { serverId: 'a' });
+    const serverB = new RedisPresenceStore(connect(), { serverId: 'b' });
+
+    await serverA.add('user-1', 'socket-a');
+    expect(await serverB.filterOnline(['user-1'])).toEqual(new Set(['user-1']));
+
+    // The last socket closing on any server takes the user offline
+    expect(await serverB.add('user-1', 'socket-b')).toBe(2);
+    expect(await serverA.remove('user-1', 'socket-a')).toBe(1);
+    expect(await serverB.remove('user-1', 'socket-b')).toBe(0);
+  });
+
+  it('should clear entries left by a previous run of the same server', async () => {
+    const crashed = new RedisPresenceStore(connect(), { serverId: 'a' });
+    const other = new RedisPresenceStore(connect(), { serverId: 'b' });
+    await crashed.add('user-1', 'stale-socket');
+    await other.add('user-2', 'live-socket');
+
+    const restarted = new RedisPresenceStore(connect(), { serverId: 'a' });
+    await restarted.clearServer();
+
+    expect(await restarted.filterOnline(['user-1', 'user-2'])).toEqual(new Set(['user-2']));
+  });
+
+  it('should drop the sockets of a server that stops heartbeating', async () => {
+    const crashed = new RedisPresenceStore(connect(), { serverId: 'a', staleAfterMs: 1000 });
+    const live = new RedisPresenceStore(connect(), { serverId: 'b', staleAfterMs: 1000 });
+    await crashed.heartbeat(1000);
+    expect(await live.heartbeat(1000)).toEqual({ offlineUserIds: [], registered: true });
+
+    await crashed.add('user-1', 'socket-a1');
+    await crashed.add('user-3', 'socket-a3');
+    await live.add('user-2', 'socket-b2');
+    await live.add('user-3', 'socket-b3');
+
+    // Only users with no socket left on a live server go offline, and only once
+    expect(await live.heartbeat(5000)).toEqual({ offlineUserIds: ['user-1'], registered: false });
+    expect(await live.heartbeat(5000)).toEqual({ offlineUserIds: [], registered: false });
+    expect(await live.filterOnline(['user-1', 'user-2', 'user-3'])).toEqual(new Set(['user-2', 'user-3']));
+
+    // A server that was only cut off learns it has to register its sockets again
+    expect((await crashed.heartbeat(5000)).registered).toBe(true);
+  });
+
+  it('should keep working after the Redis connection drops', async () => {
+    const client = connect();
+    const store = new RedisPresenceStore(client, { serverId: 'a' });
+    await store.add('user-1', 'socket-1');
+
+    standIn.dropConnections();
+    await waitFor(() => client.status === 'ready');
+
+    expect(await store.add('user-1', 'socket-2')).toBe(2);
+  });
+});
+
+describe('Redis adapter', () => {
+  let standIn;
+  let clients;
+  let nodes;
+
+  const startNode = async () => {
+    const pubClient = new Redis(standIn.url);
+    const subClient = pubClient.duplicate();
+    clients.push(pubClient, subClient);
+
+    const httpServer = createServer();
+    const io = new Server(httpServer);
+    io.adapter(createAdapter(pubClient, subClient));
+    io.on('connection', socket => socket.join(`user:${socket.handshake.auth.userId}`));
+
+    await new Promise(resolve => httpServer.listen(resolve));
+    const node = { io, httpServer, url: `http://localhost:${httpServer.address().port}` };
+    nodes.push(node);
+
+    // The adapter subscribes in the background; wait until it is listening
+    await waitFor(async () => (await io.of('/').adapter.serverCount()) === nodes.length);
+    return node;
+  };
+
+  const connectTo = (node, userId) => new Promise((resolve, reject) => {
+    const socket = socketClient(node.url, { auth: { userId } });
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+
+  beforeEach(async () => {
+    standIn = await startRespStandIn();
+    clients = [];
+    nodes = [];
+  });
+
+  afterEach(async () => {
+    nodes.forEach(node => node.io.close());
+    await Promise.all(clients.map(client => client.quit()));
+    await standIn.close();
+  });
+
+  it('should deliver broadcasts to sockets on another server', async () => {
+    const nodeA = await startNode();
+    const nodeB = await startNode();
+    const receiver = await connectTo(nodeB, 'user-2');
+
+    const received = new Promise(resolve => receiver.on('message:received', resolve));
+    nodeA.io.to('user:user-2').emit('message:received', { content: 'Across servers' });
+
+    expect(await received).toEqual({ content: 'Across servers' });
+    receiver.disconnect();
+  }, 10000);
+
+  it('should find and move sockets connected to another server', async () => {
+    const nodeA = await startNode();
+    const nodeB = await startNode();
+    const receiver = await connectTo(nodeB, 'user-2');
+
+    const sockets = await nodeA.io.in('user:user-2').fetchSockets();
+    expect(sockets.map(socket => socket.id)).toEqual([receiver.id]);
+
+    nodeA.io.in(receiver.id).socketsJoin('conversation:1');
+    const received = new Promise(resolve => receiver.on('typing:start', resolve));
+    nodeA.io.to('conversation:1').emit('typing:start', { userId: 'user-1' });
+
+    expect(await received).toEqual({ userId: 'user-1' });
+    receiver.disconnect();
+  }, 10000);
+});
@@ -0,0 +1,211 @@
+import net from 'net';
+
+const CRLF = '\r\n';
+
+// Parse one command (a RESP array of bulk strings) from buffer, keeping the
+// arguments as Buffers since published payloads are binary. Returns
+// { args, offset } or null when the command hasn't fully arrived.
+const parseCommand = (buffer) => {
+  const headerEnd = buffer.indexOf(CRLF);
+  if (headerEnd === -1) return null;
+  const count = parseInt(buffer.toString('latin1', 1, headerEnd), 10);
+
+  const args = [];
+  let cursor = headerEnd + 2;
+  for (let i = 0; i < count; i++) {
+    const lineEnd = buffer.indexOf(CRLF, cursor);
+    if (lineEnd === -1) return null;
+    const length = parseInt(buffer.toString('latin1', cursor + 1, lineEnd), 10);
+    const start = lineEnd + 2;
+    if (buffer.length < start + length + 2) return null;
+    args.push(buffer.subarray(start, start + length));
+    cursor = start + length + 2;
+  }
+  return { args, offset: cursor };
+};
+
+class Status {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+const OK = new Status('OK');
+
+const encode = (value) => {
+  if (value instanceof Status) return Buffer.from(`+${value.text}${CRLF}`);
+  if (value instanceof Error) return Buffer.from(`-${value.message}${CRLF}`);
+  if (value === null) return Buffer.from(`$-1${CRLF}`);
+  if (typeof value === 'number') return Buffer.from(`:${value}${CRLF}`);
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from(`*${value.length}${CRLF}`), ...value.map(encode)]);
+  }
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${data.length}${CRLF}`), data, Buffer.from(CRLF)]);
+};
+
+// Only the trailing-* patterns the Socket.IO adapter subscribes with
+const matches = (pattern, channel) => (pattern.endsWith('*')
+  ? channel.startsWith(pattern.slice(0, -1))
+  : pattern === channel);
+
+/**
+ * In-process stand-in for a Redis server, speaking just enough of the
+ * protocol for ioredis and the cluster code: sets, sorted sets, MULTI/EXEC
+ * and pub/sub. dropConnections() cuts every client off, as a Redis restart
+ * would.
+ */
+export const startRespStandIn = async () => {
+  const sets = new Map();
+  const sortedSets = new Map(); // key -> Map of member -> score
+  const channels = new Map(); // channel -> Set of connections
+  const patterns = new Map(); // pattern -> Set of connections
+
+  const setOf = key => sets.get(key) || new Set();
+  const sortedSetOf = key => sortedSets.get(key) || new Map();
+
+  const subscribe = (registry, name, connection) => {
+    if (!registry.has(name)) registry.set(name, new Set());
+    registry.get(name).add(connection);
+  };
+
+  const publish = (channel, payload) => {
+    let receivers = 0;
+    (channels.get(channel) || new Set()).forEach(connection => {
+      connection.write(encode(['message', channel, payload]));
+      receivers += 1;
+    });
+    patterns.forEach((connections, pattern) => {
+      if (!matches(pattern, channel)) return;
+      connections.forEach(connection => {
+        connection.write(encode(['pmessage', pattern, channel, payload]));
+        receivers += 1;
+      });
+    });
+    return receivers;
+  };
+
+  const run = (args) => {
+    const [name, ...rest] = args;
+    const params = rest.map(arg => arg.toString());
+
+    switch (name.toString().toUpperCase()) {
+      case 'PING':
+        return new Status('PONG');
+      case 'INFO':
+        return 'redis_version:7.0.0\r\nloading:0\r\n';
+      case 'CLIENT':
+      case 'SELECT':
+      case 'QUIT':
+        return OK;
+      case 'SADD': {
+        const set = setOf(params[0]);
+        const before = set.size;
+        params.slice(1).forEach(member => set.add(member));
+        sets.set(params[0], set);
+        return set.size - before;
+      }
+      case 'SREM': {
+        const set = setOf(params[0]);
+        const removed = params.slice(1).filter(member => set.delete(member)).length;
+        if (set.size === 0) sets.delete(params[0]);
+        return removed;
+      }
+      case 'SCARD':
+        return setOf(params[0]).size;
+      case 'SMEMBERS':
+        return [...setOf(params[0])];
+      case 'DEL':
+        return params.filter(key => sets.delete(key) || sortedSets.delete(key)).length;
+      case 'ZADD': {
+        const sortedSet = sortedSetOf(params[0]);
+        const isNew = !sortedSet.has(params[2]);
+        sortedSet.set(params[2], Number(params[1]));
+        sortedSets.set(params[0], sortedSet);
+        return isNew ? 1 : 0;
+      }
+      case 'ZREM': {
+        const sortedSet = sortedSetOf(params[0]);
+        return params.slice(1).filter(member => sortedSet.delete(member)).length;
+      }
+      case 'ZRANGEBYSCORE': {
+        const min = params[1] === '-inf' ? -Infinity : Number(params[1]);
+        const max = params[2] === '+inf' ? Infinity : Number(params[2]);
+        return [...sortedSetOf(params[0])]
+          .filter(([, score]) => score >= min && score <= max)
+          .map(([member]) => member);
+      }
+      case 'PUBLISH':
+        return publish(params[0], rest[1]);
+      case 'PUBSUB': {
+        // NUMSUB: channel, subscriber count pairs
+        return params.slice(1).flatMap(channel => [channel, (channels.get(channel) || new Set()).size]);
+      }
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  const connections = new Set();
+
+  const server = net.createServer(connection => {
+    let buffer = Buffer.alloc(0);
+    let queued = null; // commands between MULTI and EXEC
+    connections.add(connection);
+
+    connection.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while (buffer.length && (parsed = parseCommand(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const { args } = parsed;
+        const name = args[0].toString().toUpperCase();
+
+        if (name === 'SUBSCRIBE' || name === 'PSUBSCRIBE') {
+          // One confirmation per channel or pattern
+          args.slice(1).forEach((arg, index) => {
+            subscribe(name === 'SUBSCRIBE' ? channels : patterns, arg.toString(), connection);
+            connection.write(encode([name.toLowerCase(), arg, index + 1]));
+          });
+        } else if (name === 'UNSUBSCRIBE' || name === 'PUNSUBSCRIBE') {
+          args.slice(1).forEach(arg => {
+            const registry = name === 'UNSUBSCRIBE' ? channels : patterns;
+            (registry.get(arg.toString()) || new Set()).delete(connection);
+            connection.write(encode([name.toLowerCase(), arg, 0]));
+          });
+        } else if (name === 'MULTI') {
+          queued = [];
+          connection.write(encode(OK));
+        } else if (name === 'EXEC') {
+          const results = queued.map(command => run(command));
+          queued = null;
+          connection.write(encode(results));
+        } else if (queued) {
+          queued.push(args);
+          connection.write(encode(new Status('QUEUED')));
+        } else {
+          connection.write(encode(run(args)));
+        }
+      }
+    });
+
+    connection.on('close', () => {
+      connections.delete(connection);
+      channels.forEach(receivers => receivers.delete(connection));
+      patterns.forEach(receivers => receivers.delete(connection));
+    });
+    connection.on('error', () => {});
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    sets,
+    dropConnections: () => connections.forEach(connection => connection.destroy()),
+    close: () => new Promise(resolve => {
+      connections.forEach(connection => connection.destroy());
+      server.close(resolve);
+    }),
+  };
+};
@@ -0,0 +1,79 @@
+import { LoginThrottle } from '../services/loginThrottle/loginThrottle.js';
+import { MemoryAttemptStore } from '../services/loginThrottle/memoryStore.js';
+
+describe('LoginThrottle', () => {
+  let clock;
+  let lockouts;
+  let throttle;
+
+  const attempt = { email: 'John@Example.com', ip: '10.0.0.1', userId: 'user-1' };
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    lockouts = [];
+    throttle = new LoginThrottle({
+      store: new MemoryAttemptStore(),
+      onLockout: async lockout => lockouts.push(lockout),
+      freeAttempts: 2,
+      baseDelayMs: 1000,
+      accountThreshold: 5,
+      ipThreshold: 20,
+      lockoutMs: 60 * 1000,
+      now: () => clock,
+    });
+  });
+
+  it('should allow the first few failures without delay', async () => {
+    await throttle.recordFailure(attempt);
+    const result = await throttle.recordFailure(attempt);
+
+    expect(result.blocked).toBe(false);
+  });
+
+  it('should back off exponentially after the free attempts', async () => {
+    await throttle.recordFailure(attempt);
+    await throttle.recordFailure(attempt);
+
+    const third = await throttle.recordFailure(attempt);
+    expect(third).toMatchObject({ blocked: true, locked: false, scope: 'account', retryAfterMs: 1000 });
+
+    clock += 1000;
+    const fourth = await throttle.recordFailure(attempt);
+    expect(fourth.retryAfterMs).toBe(2000);
+  });
+
+  it('should lock the account at the threshold and report it', async () => {
+    let result;
+    for (let i = 0; i < 5; i++) {
+      result = await throttle.recordFailure(attempt);
+      clock += 10 * 1000;
+    }
+
+    expect(result).toMatchObject({ blocked: true, locked: true });
+    expect(lockouts).toHaveLength(1);
+    expect(lockouts[0]).toMatchObject({ scope: 'account', userId: 'user-1', failedAttempts: 5 });
+
+    clock += 60 * 1000;
+    expect((await throttle.check(attempt)).blocked).toBe(false);
+  });
+
+  it('should track accounts case-insensitively and clear them on success', async () => {
+    for (let i = 0; i < 3; i++) {
+      await throttle.recordFailure({ email: 'john@example.com' });
+    }
+    expect((await throttle.check({ email: 'JOHN@example.com' })).blocked).toBe(true);
+
+    await throttle.recordSuccess({ email: 'john@example.com' });
+    expect((await throttle.check({ email: 'john@example.com' })).blocked).toBe(false);
+  });
+
+  it('should block an IP guessing across many accounts', async () => {
+    for (let i = 0; i < 20; i++) {
+      await throttle.recordFailure({ email: `user${i}@example.com`, ip: '10.0.0.2' });
+    }
+
+    const result = await throttle.check({ email: 'someone-else@example.com', ip: '10.0.0.2' });
+    expect(result).toMatchObject({ blocked: true, locked: true, scope: 'ip' });
+    expect(lockouts.some(lockout => lockout.scope === 'ip' && lockout.userId === null)).toBe(true);
+  });
+});
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileTransport } from '../services/mail/fileTransport.js';
+import { ConsoleTransport } from '../services/mail/consoleTransport.js';
+
+describe('Mail transports', () => {
+  let mailDir;
+
+  beforeEach(async () => {
+    mailDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chat-mail-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(mailDir, { recursive: true, force: true });
+  });
+
+  it('should write mails to files and read them back', async () => {
+    const transport = new FileTransport(mailDir);
+
+    await transport.send({ to: 'john@example.com', subject: 'Reset your password', text: 'token-1' });
+    await transport.send({ to: 'jane@example.com', subject: 'Verify your email address', text: 'token-2' });
+
+    const mails = await transport.list();
+    expect(mails).toHaveLength(2);
+    expect(mails.map(mail => mail.to).sort()).toEqual(['jane@example.com', 'john@example.com']);
+    expect(mails[0]).toHaveProperty('sentAt');
+  });
+
+  it('should list nothing before the first mail', async () => {
+    const transport = new FileTransport(path.join(mailDir, 'missing'));
+
+    expect(await transport.list()).toEqual([]);
+  });
+
+  it('should print mails to the logger', async () => {
+    const lines = [];
+    const transport = new ConsoleTransport({ log: line => lines.push(line) });
+
+    await transport.send({ to: 'john@example.com', subject: 'Hello', text: 'Body text' });
+
+    expect(lines[0]).toContain('To: john@example.com');
+    expect(lines[0]).toContain('Body text');
+  });
+});
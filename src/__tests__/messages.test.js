@@ -0,0 +1,567 @@
+import request from 'supertest';
+import express from 'express';
+import dotenv from 'dotenv';
+import prisma from '../config/database.js';
+import authRoutes from '../routes/authRoutes.js';
+import messageRoutes from '../routes/messageRoutes.js';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/messages', messageRoutes);
+
+const stamp = Date.now();
+
+const register = async (name) => {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: `${name}_${stamp}`,
+      email: `${name}_${stamp}@example.com`,
+      password: 'testpassword123',
+    });
+  return { id: response.body.data.user.id, token: response.body.data.token };
+};
+
+// Two registered users who are already contacts
+const registerContacts = async (first, second) => {
+  const a = await register(first);
+  const b = await register(second);
+  await prisma.messageRequest.create({
+    data: { senderId: a.id, receiverId: b.id, status: 'accepted' },
+  });
+  return [a, b];
+};
+
+const directMessage = (sender, receiver, content, extra = {}) => prisma.message.create({
+  data: { content, senderId: sender.id, receiverId: receiver.id, ...extra },
+});
+
+const history = (user, other, query = {}) => request(app)
+  .get(`/api/messages/history/${other.id}`)
+  .query(query)
+  .set('Authorization', `Bearer ${user.token}`)
+  .expect(200);
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+describe('Message editing', () => {
+  let alice;
+  let bob;
+
+  const edit = (user, messageId, content) => request(app)
+    .patch(`/api/messages/${messageId}`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send({ content });
+
+  beforeAll(async () => {
+    [alice, bob] = await registerContacts('edit_alice', 'edit_bob');
+  });
+
+  it('should keep earlier versions and flag the message as edited', async () => {
+    const message = await directMessage(alice, bob, 'Frist draft');
+
+    const response = await edit(alice, message.id, 'First draft').expect(200);
+    expect(response.body.data.message).toMatchObject({ content: 'First draft', edited: true });
+    await edit(alice, message.id, 'Final draft').expect(200);
+
+    const revisions = await request(app)
+      .get(`/api/messages/${message.id}/revisions`)
+      .set('Authorization', `Bearer ${bob.token}`)
+      .expect(200);
+    expect(revisions.body.data.currentContent).toBe('Final draft');
+    expect(revisions.body.data.revisions.map(revision => revision.content)).toEqual(['Frist draft', 'First draft']);
+
+    const chat = await history(bob, alice);
+    expect(chat.body.data.messages.find(msg => msg.id === message.id)).toMatchObject({
+      content: 'Final draft',
+      edited: true,
+    });
+  });
+
+  it('should only let the sender edit', async () => {
+    const message = await directMessage(alice, bob, 'Mine to change');
+
+    await edit(bob, message.id, 'Not yours').expect(404);
+    expect((await prisma.message.findUnique({ where: { id: message.id } })).content).toBe('Mine to change');
+  });
+
+  it('should not let a removed group member edit what they said there', async () => {
+    const conversation = await prisma.conversation.create({
+      data: {
+        name: 'Edit test group',
+        createdById: alice.id,
+        participants: {
+          create: [
+            { userId: alice.id, role: 'admin' },
+            { userId: bob.id },
+          ],
+        },
+      },
+    });
+    const message = await prisma.message.create({
+      data: { content: 'Said while a member', senderId: bob.id, conversationId: conversation.id },
+    });
+
+    await prisma.participant.delete({
+      where: { conversationId_userId: { conversationId: conversation.id, userId: bob.id } },
+    });
+
+    await edit(bob, message.id, 'Rewritten after leaving').expect(404);
+    await prisma.conversation.delete({ where: { id: conversation.id } });
+  });
+});
+
+describe('Message deletion', () => {
+  let alice;
+  let bob;
+
+  const remove = (user, messageId, scope) => request(app)
+    .delete(`/api/messages/${messageId}`)
+    .query({ scope })
+    .set('Authorization', `Bearer ${user.token}`);
+
+  const findIn = async (user, other, messageId) => (await history(user, other))
+    .body.data.messages.find(msg => msg.id === messageId);
+
+  beforeAll(async () => {
+    [alice, bob] = await registerContacts('delete_alice', 'delete_bob');
+  });
+
+  it('should hide a message deleted for me from my history only', async () => {
+    const message = await directMessage(alice, bob, 'Only bob keeps this');
+
+    await remove(alice, message.id, 'me').expect(200);
+
+    expect(await findIn(alice, bob, message.id)).toBeUndefined();
+    expect(await findIn(bob, alice, message.id)).toMatchObject({ content: 'Only bob keeps this', deleted: false });
+  });
+
+  it('should leave a tombstone for both sides when deleted for everyone', async () => {
+    const message = await directMessage(alice, bob, 'Sent by mistake');
+
+    const response = await remove(alice, message.id, 'everyone').expect(200);
+    expect(response.body.data).toHaveProperty('deletedAt');
+
+    for (const [viewer, other] of [[alice, bob], [bob, alice]]) {
+      expect(await findIn(viewer, other, message.id)).toMatchObject({ content: null, deleted: true });
+    }
+  });
+
+  it('should only let the sender delete for everyone', async () => {
+    const message = await directMessage(alice, bob, 'Not bob\'s to delete');
+
+    const response = await remove(bob, message.id, 'everyone').expect(403);
+    expect(response.body.message).toBe('Only the sender can delete a message for everyone');
+  });
+
+  it('should not delete for everyone after the delete window', async () => {
+    const message = await directMessage(alice, bob, 'Old news', {
+      createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+    });
+
+    const response = await remove(alice, message.id, 'everyone').expect(403);
+    expect(response.body.message).toBe('This message is too old to be deleted for everyone');
+    expect(await findIn(bob, alice, message.id)).toMatchObject({ content: 'Old news', deleted: false });
+  });
+
+  it('should not let a removed group member delete for everyone', async () => {
+    const conversation = await prisma.conversation.create({
+      data: {
+        name: 'Delete test group',
+        createdById: alice.id,
+        participants: {
+          create: [
+            { userId: alice.id, role: 'admin' },
+            { userId: bob.id },
+          ],
+        },
+      },
+    });
+    const message = await prisma.message.create({
+      data: { content: 'Said while a member', senderId: bob.id, conversationId: conversation.id },
+    });
+
+    await prisma.participant.delete({
+      where: { conversationId_userId: { conversationId: conversation.id, userId: bob.id } },
+    });
+
+    await remove(bob, message.id, 'everyone').expect(404);
+    expect((await prisma.message.findUnique({ where: { id: message.id } })).deletedAt).toBeNull();
+    await prisma.conversation.delete({ where: { id: conversation.id } });
+  });
+});
+
+describe('Replies in history', () => {
+  it('should embed the quoted message and tombstone it once deleted', async () => {
+    const [alice, bob] = await registerContacts('reply_alice', 'reply_bob');
+    const parent = await directMessage(alice, bob, 'Lunch at noon?');
+    const reply = await directMessage(bob, alice, 'Sounds good', { replyToId: parent.id });
+
+    let found = (await history(bob, alice)).body.data.messages.find(msg => msg.id === reply.id);
+    expect(found.replyTo).toMatchObject({
+      id: parent.id,
+      content: 'Lunch at noon?',
+      sender: { id: alice.id },
+      deleted: false,
+    });
+
+    await prisma.message.update({ where: { id: parent.id }, data: { deletedAt: new Date() } });
+
+    found = (await history(alice, bob)).body.data.messages.find(msg => msg.id === reply.id);
+    expect(found.replyTo).toMatchObject({ id: parent.id, content: null, deleted: true });
+  });
+});
+
+describe('Blocked users in history and search', () => {
+  let alice;
+  let bob;
+  let fromAlice;
+  let fromBob;
+
+  const search = (user, query) => request(app)
+    .get('/api/messages/search')
+    .query(query)
+    .set('Authorization', `Bearer ${user.token}`)
+    .expect(200);
+
+  beforeAll(async () => {
+    [alice, bob] = await registerContacts('block_alice', 'block_bob');
+    fromAlice = await directMessage(alice, bob, `Blockword from alice ${stamp}`, {
+      createdAt: new Date(Date.now() - 1000),
+    });
+    fromBob = await directMessage(bob, alice, `Blockword from bob ${stamp}`);
+    await prisma.block.create({ data: { blockerId: alice.id, blockedId: bob.id } });
+  });
+
+  it('should hide the other side\'s messages from direct history in both directions', async () => {
+    const aliceView = (await history(alice, bob)).body.data.messages.map(msg => msg.id);
+    expect(aliceView).toEqual([fromAlice.id]);
+
+    const bobView = (await history(bob, alice)).body.data.messages.map(msg => msg.id);
+    expect(bobView).toEqual([fromBob.id]);
+  });
+
+  it('should hide the other side\'s messages from search', async () => {
+    const results = (await search(alice, { q: 'blockword', with: bob.id })).body.data.results;
+    expect(results.map(result => result.id)).toEqual([fromAlice.id]);
+  });
+
+  it('should show them again once unblocked', async () => {
+    await prisma.block.deleteMany({ where: { blockerId: alice.id, blockedId: bob.id } });
+
+    const aliceView = (await history(alice, bob)).body.data.messages.map(msg => msg.id);
+    expect(aliceView).toEqual([fromAlice.id, fromBob.id]);
+  });
+});
+
+describe('Inbox', () => {
+  let alice;
+  let bob;
+  let carol;
+  let group;
+
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+  const inbox = (user, query = {}) => request(app)
+    .get('/api/messages/conversations')
+    .query(query)
+    .set('Authorization', `Bearer ${user.token}`)
+    .expect(200);
+
+  const threadKey = item => (item.type === 'direct' ? item.counterpart.id : item.conversation.id);
+
+  beforeAll(async () => {
+    [alice, bob] = await registerContacts('inbox_alice', 'inbox_bob');
+    carol = await register('inbox_carol');
+    await prisma.messageRequest.create({
+      data: { senderId: alice.id, receiverId: carol.id, status: 'accepted' },
+    });
+    group = await prisma.conversation.create({
+      data: {
+        name: 'Inbox test group',
+        createdById: alice.id,
+        participants: { create: [{ userId: alice.id, role: 'admin' }, { userId: bob.id }] },
+      },
+    });
+
+    await directMessage(alice, bob, 'Oldest chat', { createdAt: minutesAgo(30) });
+    await directMessage(bob, alice, 'Unread one', { createdAt: minutesAgo(29) });
+    await directMessage(bob, alice, 'Unread two', { createdAt: minutesAgo(28) });
+    await directMessage(bob, alice, 'Already read', { createdAt: minutesAgo(27), read: true, readAt: minutesAgo(1) });
+    await directMessage(carol, alice, 'Middle chat', { createdAt: minutesAgo(20) });
+    await prisma.message.create({
+      data: { content: 'Newest chat', senderId: bob.id, conversationId: group.id, createdAt: minutesAgo(10) },
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.conversation.delete({ where: { id: group.id } });
+  });
+
+  it('should list chats by latest activity with unread counts for direct chats', async () => {
+    const { conversations } = (await inbox(alice)).body.data;
+
+    expect(conversations.map(threadKey)).toEqual([group.id, carol.id, bob.id]);
+    expect(conversations[0]).toMatchObject({ type: 'group', unreadCount: null, lastMessage: { content: 'Newest chat' } });
+    expect(conversations[1]).toMatchObject({ type: 'direct', unreadCount: 1, lastMessage: { content: 'Middle chat' } });
+    expect(conversations[2]).toMatchObject({ type: 'direct', unreadCount: 2, lastMessage: { content: 'Already read' } });
+  });
+
+  it('should not count messages deleted for everyone or for me as unread', async () => {
+    const gone = await directMessage(carol, alice, 'Deleted for everyone', {
+      createdAt: minutesAgo(19),
+      deletedAt: new Date(),
+    });
+    const hidden = await directMessage(carol, alice, 'Deleted for me', { createdAt: minutesAgo(18) });
+    await prisma.hiddenMessage.create({ data: { messageId: hidden.id, userId: alice.id } });
+
+    const { conversations } = (await inbox(alice)).body.data;
+    const withCarol = conversations.find(item => threadKey(item) === carol.id);
+    expect(withCarol.unreadCount).toBe(1);
+    // The tombstone is still the latest visible message; the hidden one isn't
+    expect(withCarol.lastMessage).toMatchObject({ id: gone.id, content: null, deleted: true });
+  });
+
+  it('should move a chat to the top on new activity', async () => {
+    await directMessage(alice, bob, 'Back to the top');
+
+    const { conversations } = (await inbox(alice)).body.data;
+    expect(conversations.map(threadKey)).toEqual([bob.id, group.id, carol.id]);
+    expect(conversations[0].lastMessage).toMatchObject({ content: 'Back to the top', isFromCurrentUser: true });
+  });
+
+  it('should page with a cursor without repeating or skipping chats', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const { data } = (await inbox(alice, { limit: 1, ...(cursor && { cursor }) })).body;
+      seen.push(...data.conversations.map(threadKey));
+      cursor = data.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([bob.id, group.id, carol.id]);
+  });
+
+  it('should leave out chats still waiting to be accepted', async () => {
+    const stranger = await register('inbox_stranger');
+    await prisma.messageRequest.create({
+      data: { senderId: stranger.id, receiverId: alice.id, status: 'pending' },
+    });
+    await directMessage(stranger, alice, 'Hi, you don\'t know me');
+
+    const { conversations } = (await inbox(alice)).body.data;
+    expect(conversations.map(threadKey)).not.toContain(stranger.id);
+  });
+});
+
+describe('History cursors', () => {
+  let alice;
+  let bob;
+  let expected;
+
+  beforeAll(async () => {
+    [alice, bob] = await registerContacts('cursor_alice', 'cursor_bob');
+
+    // Pairs of messages share a timestamp, so pages must break ties on id
+    const base = Date.now() - 60 * 60 * 1000;
+    const created = [];
+    for (let i = 0; i < 8; i++) {
+      const [sender, receiver] = i % 2 ? [bob, alice] : [alice, bob];
+      created.push(await directMessage(sender, receiver, `Cursor message ${i}`, {
+        createdAt: new Date(base + Math.floor(i / 2) * 1000),
+      }));
+    }
+    expected = created
+      .sort((a, b) => a.createdAt - b.createdAt || (a.id < b.id ? -1 : 1))
+      .map(message => message.id);
+  });
+
+  const ids = response => response.body.data.messages.map(message => message.id);
+
+  it('should walk back through history with before, without gaps or duplicates', async () => {
+    let response = await history(alice, bob, { limit: 3 });
+    const seen = ids(response);
+    let hasOlder = response.body.data.pagination.hasMore;
+
+    while (hasOlder) {
+      response = await history(alice, bob, { limit: 3, before: response.body.data.pagination.cursors.before });
+      seen.unshift(...ids(response));
+      hasOlder = response.body.data.pagination.hasOlder;
+    }
+
+    expect(seen).toEqual(expected);
+  });
+
+  it('should walk forward through history with after, without gaps or duplicates', async () => {
+    const seen = [expected[0]];
+    let response;
+    do {
+      response = await history(alice, bob, { limit: 3, after: seen[seen.length - 1] });
+      seen.push(...ids(response));
+    } while (response.body.data.pagination.hasNewer);
+
+    expect(seen).toEqual(expected);
+  });
+
+  it('should keep older pages stable while new messages arrive', async () => {
+    const first = await history(alice, bob, { limit: 3, before: expected[6] });
+    await directMessage(bob, alice, 'Arrived between pages');
+    const second = await history(alice, bob, { limit: 3, before: expected[6] });
+
+    expect(ids(first)).toEqual(expected.slice(3, 6));
+    expect(ids(second)).toEqual(ids(first));
+  });
+
+  it('should return an empty page before the oldest message', async () => {
+    const oldest = await history(alice, bob, { before: expected[0] });
+    expect(ids(oldest)).toEqual([]);
+    expect(oldest.body.data.pagination.hasOlder).toBe(false);
+  });
+
+  it('should reject an anchor from another chat', async () => {
+    const carol = await register('cursor_carol');
+    const elsewhere = await directMessage(alice, carol, 'Not in this chat');
+
+    const response = await request(app)
+      .get(`/api/messages/history/${bob.id}`)
+      .query({ before: elsewhere.id })
+      .set('Authorization', `Bearer ${alice.token}`)
+      .expect(404);
+    expect(response.body.error).toBe('Message not found');
+  });
+});
+
+describe('Message search', () => {
+  let alice;
+  let bob;
+  let carol;
+  let group;
+  let withBob;
+  let withCarol;
+  let inGroup;
+
+  const search = (user, query) => request(app)
+    .get('/api/messages/search')
+    .query(query)
+    .set('Authorization', `Bearer ${user.token}`);
+
+  const resultIds = response => response.body.data.results.map(result => result.id);
+
+  const at = iso => ({ createdAt: new Date(iso) });
+
+  beforeAll(async () => {
+    [alice, bob] = await registerContacts('search_alice', 'search_bob');
+    carol = await register('search_carol');
+    await prisma.messageRequest.create({
+      data: { senderId: alice.id, receiverId: carol.id, status: 'accepted' },
+    });
+    group = await prisma.conversation.create({
+      data: {
+        name: 'Search test group',
+        createdById: alice.id,
+        participants: { create: [{ userId: alice.id, role: 'admin' }, { userId: bob.id }] },
+      },
+    });
+
+    withBob = [
+      await directMessage(alice, bob, 'Pineapple on pizza?', at('2024-01-10T12:00:00Z')),
+      await directMessage(bob, alice, 'Pineapple belongs on pizza', at('2024-02-10T12:00:00Z')),
+      await directMessage(alice, bob, 'Pineapple juice then', at('2024-03-10T12:00:00Z')),
+    ];
+    withCarol = await directMessage(carol, alice, 'Pineapple smoothie recipe', at('2024-02-15T12:00:00Z'));
+    inGroup = await prisma.message.create({
+      data: {
+        content: 'Pineapple party on friday',
+        senderId: bob.id,
+        conversationId: group.id,
+        ...at('2024-02-20T12:00:00Z'),
+      },
+    });
+    await directMessage(alice, bob, 'Something unrelated', at('2024-02-11T12:00:00Z'));
+  });
+
+  afterAll(async () => {
+    await prisma.conversation.delete({ where: { id: group.id } });
+  });
+
+  it('should find matches across chats, newest first, with highlighted snippets', async () => {
+    const response = await search(alice, { q: 'pineapple' }).expect(200);
+
+    expect(resultIds(response)).toEqual([withBob[2].id, inGroup.id, withCarol.id, withBob[1].id, withBob[0].id]);
+    expect(response.body.data.results[0].snippet).toContain('Pineapple');
+  });
+
+  it('should only search the chat with one user', async () => {
+    const response = await search(alice, { q: 'pineapple', with: bob.id }).expect(200);
+    expect(resultIds(response)).toEqual([withBob[2].id, withBob[1].id, withBob[0].id]);
+  });
+
+  it('should only search one group', async () => {
+    const response = await search(alice, { q: 'pineapple', conversationId: group.id }).expect(200);
+    expect(resultIds(response)).toEqual([inGroup.id]);
+  });
+
+  it('should only search between from and to, both inclusive', async () => {
+    const response = await search(alice, {
+      q: 'pineapple',
+      from: '2024-02-10T12:00:00Z',
+      to: '2024-02-20T12:00:00Z',
+    }).expect(200);
+    expect(resultIds(response)).toEqual([inGroup.id, withCarol.id, withBob[1].id]);
+  });
+
+  it('should page with a cursor without repeating or skipping results', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const response = await search(alice, { q: 'pineapple', limit: 2, ...(cursor && { cursor }) }).expect(200);
+      seen.push(...resultIds(response));
+      cursor = response.body.data.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([withBob[2].id, inGroup.id, withCarol.id, withBob[1].id, withBob[0].id]);
+  });
+
+  it('should leave out chats the user is not part of', async () => {
+    const response = await search(carol, { q: 'pineapple' }).expect(200);
+    expect(resultIds(response)).toEqual([withCarol.id]);
+  });
+
+  it('should leave out deleted messages', async () => {
+    const gone = await directMessage(alice, bob, 'Pineapple regrets', { deletedAt: new Date() });
+    const hidden = await directMessage(bob, alice, 'Pineapple secret');
+    await prisma.hiddenMessage.create({ data: { messageId: hidden.id, userId: alice.id } });
+
+    const response = await search(alice, { q: 'pineapple', with: bob.id }).expect(200);
+    expect(resultIds(response)).not.toContain(gone.id);
+    expect(resultIds(response)).not.toContain(hidden.id);
+  });
+
+  it('should stop finding group messages, even their own, once removed from the group', async () => {
+    const own = await prisma.message.create({
+      data: { content: 'Pineapple from bob to the group', senderId: bob.id, conversationId: group.id },
+    });
+    await prisma.participant.delete({
+      where: { conversationId_userId: { conversationId: group.id, userId: bob.id } },
+    });
+
+    const response = await search(bob, { q: 'pineapple' }).expect(200);
+    expect(resultIds(response)).not.toContain(own.id);
+    expect(resultIds(response)).not.toContain(inGroup.id);
+  });
+
+  it('should reject filtering by a user and a group at once', async () => {
+    const response = await search(alice, { q: 'pineapple', with: bob.id, conversationId: group.id }).expect(400);
+    expect(response.body.error).toBe('Validation error');
+  });
+
+  it('should reject a malformed cursor', async () => {
+    const response = await search(alice, { q: 'pineapple', cursor: 'not-a-cursor' }).expect(400);
+    expect(response.body.error).toBe('Invalid cursor');
+  });
+});
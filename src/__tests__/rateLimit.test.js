@@ -0,0 +1,67 @@
+import request from 'supertest';
+import express from 'express';
+import dotenv from 'dotenv';
+import authRoutes from '../routes/authRoutes.js';
+import messageRoutes from '../routes/messageRoutes.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { httpRateLimits } from '../config/rateLimits.js';
+
+dotenv.config();
+
+// Mounted as in server.js
+const app = express();
+app.use(express.json());
+app.use('/api/auth', rateLimit('auth', () => httpRateLimits().auth), authRoutes);
+app.use('/api/messages', rateLimit('messages', () => httpRateLimits().messages), messageRoutes);
+
+describe('HTTP rate limits', () => {
+  const saved = {
+    auth: process.env.HTTP_AUTH_RATE_LIMIT,
+    messages: process.env.HTTP_MESSAGES_RATE_LIMIT,
+  };
+
+  beforeAll(() => {
+    process.env.HTTP_AUTH_RATE_LIMIT = '2';
+    process.env.HTTP_MESSAGES_RATE_LIMIT = '2';
+  });
+
+  afterAll(() => {
+    for (const [name, value] of [['HTTP_AUTH_RATE_LIMIT', saved.auth], ['HTTP_MESSAGES_RATE_LIMIT', saved.messages]]) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  const expectRateLimited = (response) => {
+    const retryAfter = Number(response.headers['retry-after']);
+
+    expect(response.body).toMatchObject({ success: false, error: 'Too many requests', retryAfter });
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(30);
+    expect(response.headers['ratelimit-limit']).toBe('2');
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+  };
+
+  // The requests are invalid on purpose: the limit applies before the
+  // controllers run, whatever they would have answered
+  it('should answer 429 with Retry-After once /api/auth is over its limit', async () => {
+    for (let i = 0; i < 2; i++) {
+      const response = await request(app).post('/api/auth/login').send({}).expect(400);
+      expect(response.headers['ratelimit-remaining']).toBe(String(1 - i));
+    }
+
+    expectRateLimited(await request(app).post('/api/auth/login').send({}).expect(429));
+  });
+
+  it('should answer 429 with Retry-After once /api/messages is over its limit', async () => {
+    // A separate budget: /api/auth being exhausted doesn't count here
+    for (let i = 0; i < 2; i++) {
+      await request(app).get('/api/messages/conversations').expect(401);
+    }
+
+    expectRateLimited(await request(app).get('/api/messages/conversations').expect(429));
+  });
+});
@@ -16,6 +16,69 @@ describe('Socket.IO Integration', () => {
   let testUser2;
   let token1;
   let token2;
+  const offlineDelay = process.env.PRESENCE_OFFLINE_DELAY_MS;
+  const createdUserIds = []; // Users made by createUser, removed in afterAll
+  let openSockets = [];
+
+  // A fresh user, so rate limits and message requests start from scratch
+  const createUser = async (name) => {
+    const stamp = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const user = await prisma.user.create({
+      data: {
+        username: `socket_${name}_${stamp}`,
+        email: `socket_${name}_${stamp}@example.com`,
+        password: 'not-used-for-login',
+      },
+    });
+    createdUserIds.push(user.id);
+    return { id: user.id, token: jwt.sign({ userId: user.id }, process.env.JWT_SECRET) };
+  };
+
+  const makeContacts = (a, b) => prisma.messageRequest.create({
+    data: { senderId: a.id, receiverId: b.id, status: 'accepted' },
+  });
+
+  // Client for user, disconnected again in afterEach. Listeners for events
+  // sent right on connection must be added before it connects.
+  const openSocket = (user, auth = {}) => {
+    const socket = socketClient(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: user.token, ...auth },
+    });
+    openSockets.push(socket);
+    return socket;
+  };
+
+  const connect = (user, auth = {}) => new Promise((resolve, reject) => {
+    const socket = openSocket(user, auth);
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+
+  // Resolve with the next payload of event that passes match
+  const nextEvent = (socket, event, match = () => true) => new Promise(resolve => {
+    const listener = (payload) => {
+      if (!match(payload)) return;
+      socket.off(event, listener);
+      resolve(payload);
+    };
+    socket.on(event, listener);
+  });
+
+  // Record every payload of event, to check later that none (or some) arrived
+  const collectEvents = (socket, event) => {
+    const payloads = [];
+    socket.on(event, payload => payloads.push(payload));
+    return payloads;
+  };
+
+  const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Send a message and resolve with the sender's confirmation
+  const send = async (socket, data) => {
+    const sent = nextEvent(socket, 'message:sent');
+    socket.emit('message:send', data);
+    return sent;
+  };
 
   beforeAll(async () => {
     // Create test users
@@ -40,13 +103,18 @@ describe('Socket.IO Integration', () => {
 
     token1 = jwt.sign({ userId: testUser1.id }, process.env.JWT_SECRET);
     token2 = jwt.sign({ userId: testUser2.id }, process.env.JWT_SECRET);
+
+    // The two users are already contacts, so their messages are delivered directly
+    await prisma.messageRequest.create({
+      data: { senderId: testUser1.id, receiverId: testUser2.id, status: 'accepted' },
+    });
   });
 
   afterAll(async () => {
     // Cleanup test users
     await prisma.user.deleteMany({
       where: {
-        id: { in: [testUser1.id, testUser2.id] },
+        id: { in: [testUser1.id, testUser2.id, ...createdUserIds] },
       },
     });
     await prisma.$disconnect();
@@ -80,6 +148,14 @@ describe('Socket.IO Integration', () => {
   });
 
   afterEach((done) => {
+    // Undo any presence delay a test shortened, even when it failed
+    if (offlineDelay === undefined) {
+      delete process.env.PRESENCE_OFFLINE_DELAY_MS;
+    } else {
+      process.env.PRESENCE_OFFLINE_DELAY_MS = offlineDelay;
+    }
+    openSockets.forEach(socket => socket.disconnect());
+    openSockets = [];
     io.close();
     httpServer.close(() => {
       done();
@@ -162,6 +238,363 @@ describe('Socket.IO Integration', () => {
     socket2.on('connect_error', (err) => done(err));
   }, 10000);
 
+  it('should notify the sender when a message is delivered', (done) => {
+    const socket1 = socketClient(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: token1 },
+    });
+    const socket2 = socketClient(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: token2 },
+    });
+
+    let connected = 0;
+
+    socket2.on('message:received', (message) => {
+      socket2.emit('message:delivered', { messageId: message.id });
+    });
+
+    socket1.on('message:delivered', (data) => {
+      expect(data).toHaveProperty('messageId');
+      expect(data).toHaveProperty('deliveredTo', testUser2.id);
+      expect(data).toHaveProperty('deliveredAt');
+
+      socket1.disconnect();
+      socket2.disconnect();
+      done();
+    });
+
+    const onConnect = () => {
+      connected += 1;
+      if (connected === 2) {
+        setTimeout(() => {
+          socket1.emit('message:send', {
+            content: 'Delivery test message',
+            receiverId: testUser2.id,
+          });
+        }, 100);
+      }
+    };
+
+    socket1.on('connect', onConnect);
+    socket2.on('connect', onConnect);
+    socket1.on('connect_error', (err) => done(err));
+    socket2.on('connect_error', (err) => done(err));
+  }, 10000);
+
+  it('should fan out group messages to every member', (done) => {
+    prisma.conversation.create({
+      data: {
+        name: 'Socket test group',
+        createdById: testUser1.id,
+        participants: {
+          create: [
+            { userId: testUser1.id, role: 'admin' },
+            { userId: testUser2.id },
+          ],
+        },
+      },
+    }).then((conversation) => {
+      const socket1 = socketClient(`http://localhost:${httpServer.address().port}`, {
+        auth: { token: token1 },
+      });
+      const socket2 = socketClient(`http://localhost:${httpServer.address().port}`, {
+        auth: { token: token2 },
+      });
+
+      let connected = 0;
+
+      socket2.on('message:received', (message) => {
+        expect(message).toHaveProperty('conversationId', conversation.id);
+        expect(message).toHaveProperty('senderId', testUser1.id);
+        expect(message.receiverId).toBeNull();
+
+        socket1.disconnect();
+        socket2.disconnect();
+        prisma.conversation.delete({ where: { id: conversation.id } }).then(() => done());
+      });
+
+      const onConnect = () => {
+        connected += 1;
+        if (connected === 2) {
+          // Room membership is resolved asynchronously after connecting
+          setTimeout(() => {
+            socket1.emit('message:send', {
+              content: 'Group test message',
+              conversationId: conversation.id,
+            });
+          }, 200);
+        }
+      };
+
+      socket1.on('connect', onConnect);
+      socket2.on('connect', onConnect);
+      socket1.on('connect_error', (err) => done(err));
+      socket2.on('connect_error', (err) => done(err));
+    }).catch(done);
+  }, 10000);
+
+  it('should hold a first message from a stranger as a message request', (done) => {
+    const stranger = { id: null, socket: null };
+    const socket2 = socketClient(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: token2 },
+    });
+
+    socket2.on('message:received', () => done(new Error('Request was delivered as a message')));
+
+    socket2.on('message:request', async (data) => {
+      expect(data).toHaveProperty('requestId');
+      expect(data.message).toHaveProperty('senderId', stranger.id);
+      stranger.socket.disconnect();
+      socket2.disconnect();
+      await prisma.user.delete({ where: { id: stranger.id } });
+      done();
+    });
+
+    socket2.on('connect', async () => {
+      const user = await prisma.user.create({
+        data: {
+          username: `socket_stranger_${Date.now()}`,
+          email: `socket_stranger_${Date.now()}@example.com`,
+          password: await bcrypt.hash('password123', 10),
+        },
+      });
+      stranger.id = user.id;
+      stranger.socket = socketClient(`http://localhost:${httpServer.address().port}`, {
+        auth: { token: jwt.sign({ userId: user.id }, process.env.JWT_SECRET) },
+      });
+      stranger.socket.on('connect', () => {
+        stranger.socket.emit('message:send', {
+          content: 'Hi, we have not met',
+          receiverId: testUser2.id,
+        });
+      });
+    });
+
+    socket2.on('connect_error', (err) => done(err));
+  }, 10000);
+
+  it('should allow only one message request per pair of users', async () => {
+    // testUser1 -> testUser2 already exists, so the reverse direction is a duplicate
+    await expect(prisma.messageRequest.create({
+      data: { senderId: testUser2.id, receiverId: testUser1.id },
+    })).rejects.toMatchObject({ code: 'P2002' });
+  });
+
+  it('should reject direct messages across a block', (done) => {
+    const socket = socketClient(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: token1 },
+    });
+
+    socket.on('message:error', async (error) => {
+      expect(error).toHaveProperty('error', 'You cannot message this user');
+      await prisma.block.deleteMany({ where: { blockerId: testUser2.id } });
+      socket.disconnect();
+      done();
+    });
+
+    socket.on('connect', async () => {
+      await prisma.block.create({ data: { blockerId: testUser2.id, blockedId: testUser1.id } });
+      socket.emit('message:send', {
+        content: 'Are you there?',
+        receiverId: testUser2.id,
+      });
+    });
+
+    socket.on('connect_error', (err) => done(err));
+  }, 10000);
+
+  it('should deliver messages in a muted chat without a notification', (done) => {
+    const socket1 = socketClient(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: token1 },
+    });
+    const socket2 = socketClient(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: token2 },
+    });
+
+    let notified = false;
+    let connected = 0;
+
+    socket2.on('message:notification', () => {
+      notified = true;
+    });
+
+    socket2.on('message:received', () => {
+      // Give a stray notification time to arrive before checking
+      setTimeout(async () => {
+        expect(notified).toBe(false);
+        await prisma.mute.deleteMany({ where: { userId: testUser2.id } });
+        socket1.disconnect();
+        socket2.disconnect();
+        done();
+      }, 200);
+    });
+
+    const onConnect = async () => {
+      connected += 1;
+      if (connected < 2) return;
+
+      await prisma.mute.create({ data: { userId: testUser2.id, peerId: testUser1.id } });
+      socket1.emit('message:send', {
+        content: 'Quiet message',
+        receiverId: testUser2.id,
+      });
+    };
+
+    socket1.on('connect', onConnect);
+    socket2.on('connect', onConnect);
+
+    socket1.on('connect_error', (err) => done(err));
+    socket2.on('connect_error', (err) => done(err));
+  }, 10000);
+
+  it('should deliver to every device of a user exactly once', (done) => {
+    const url = `http://localhost:${httpServer.address().port}`;
+    const sender = socketClient(url, { auth: { token: token1 } });
+    const devices = [
+      socketClient(url, { auth: { token: token2 } }),
+      socketClient(url, { auth: { token: token2 } }),
+    ];
+    const received = [0, 0];
+    let connected = 0;
+
+    devices.forEach((device, index) => {
+      device.on('message:received', () => {
+        received[index] += 1;
+        if (received[0] + received[1] < 2) return;
+
+        // Give a duplicate time to arrive before checking
+        setTimeout(() => {
+          expect(received).toEqual([1, 1]);
+          [sender, ...devices].forEach(socket => socket.disconnect());
+          done();
+        }, 200);
+      });
+    });
+
+    const onConnect = () => {
+      connected += 1;
+      if (connected === 3) {
+        sender.emit('message:send', {
+          content: 'To every device',
+          receiverId: testUser2.id,
+        });
+      }
+    };
+
+    [sender, ...devices].forEach(socket => {
+      socket.on('connect', onConnect);
+      socket.on('connect_error', (err) => done(err));
+    });
+  }, 10000);
+
+  it('should keep reaching a user\'s remaining devices after one disconnects', (done) => {
+    const url = `http://localhost:${httpServer.address().port}`;
+    const leaving = socketClient(url, { auth: { token: token2 } });
+    const staying = socketClient(url, { auth: { token: token2 } });
+    let connected = 0;
+
+    leaving.on('user:updated', () => done(new Error('Disconnected device received an event')));
+
+    staying.on('user:updated', async (profile) => {
+      expect(profile).toHaveProperty('id', testUser2.id);
+      expect(await socketService.isUserOnline(testUser2.id)).toBe(true);
+      staying.disconnect();
+      done();
+    });
+
+    const onConnect = () => {
+      connected += 1;
+      if (connected < 2) return;
+
+      leaving.disconnect();
+      // Let the server process the disconnect before emitting
+      setTimeout(() => {
+        socketService.emitToUser(testUser2.id, 'user:updated', { id: testUser2.id });
+      }, 200);
+    };
+
+    leaving.on('connect', onConnect);
+    staying.on('connect', onConnect);
+    leaving.on('connect_error', (err) => done(err));
+    staying.on('connect_error', (err) => done(err));
+  }, 10000);
+
+  it('should not flap presence when a contact reconnects quickly', (done) => {
+    const url = `http://localhost:${httpServer.address().port}`;
+    const watcher = socketClient(url, { auth: { token: token1 } });
+    const statuses = [];
+
+    watcher.on('user:status', (data) => {
+      if (data.userId === testUser2.id) statuses.push(data.status);
+    });
+
+    watcher.on('connect', () => {
+      const first = socketClient(url, { auth: { token: token2 } });
+      first.on('connect', () => {
+        setTimeout(() => {
+          first.disconnect();
+          const second = socketClient(url, { auth: { token: token2 } });
+
+          second.on('connect', () => {
+            // Well past the moment an immediate offline broadcast would have landed
+            setTimeout(() => {
+              expect(statuses).not.toContain(false);
+              second.disconnect();
+              watcher.disconnect();
+              done();
+            }, 300);
+          });
+        }, 200);
+      });
+    });
+
+    watcher.on('connect_error', (err) => done(err));
+  }, 10000);
+
+  it('should broadcast offline once the grace period passes', (done) => {
+    process.env.PRESENCE_OFFLINE_DELAY_MS = '100';
+    const url = `http://localhost:${httpServer.address().port}`;
+    const watcher = socketClient(url, { auth: { token: token1 } });
+
+    watcher.on('user:status', (data) => {
+      if (data.userId !== testUser2.id || data.status) return;
+      watcher.disconnect();
+      done();
+    });
+
+    watcher.on('connect', () => {
+      const contact = socketClient(url, { auth: { token: token2 } });
+      contact.on('connect', () => {
+        setTimeout(() => contact.disconnect(), 200);
+      });
+    });
+
+    watcher.on('connect_error', (err) => done(err));
+  }, 10000);
+
+  it('should rate limit event floods', (done) => {
+    socketService.setRateLimits({ 'typing:start': { capacity: 2, refillPerSec: 0.1 } });
+
+    const socket = socketClient(`http://localhost:${httpServer.address().port}`, {
+      auth: { token: token1 },
+    });
+
+    socket.on('rate:limited', (data) => {
+      expect(data).toHaveProperty('event', 'typing:start');
+      expect(data.retryAfterMs).toBeGreaterThan(0);
+      socketService.setRateLimits(null);
+      socket.disconnect();
+      done();
+    });
+
+    socket.on('connect', () => {
+      for (let i = 0; i < 3; i++) {
+        socket.emit('typing:start', { receiverId: testUser2.id });
+      }
+    });
+
+    socket.on('connect_error', (err) => done(err));
+  });
+
   it('should track online status', (done) => {
     const socket = socketClient(`http://localhost:${httpServer.address().port}`, {
       auth: { token: token1 },
@@ -176,5 +609,252 @@ describe('Socket.IO Integration', () => {
       });
     });
   });
+
+  it('should not let a reaction to a held message reach the stranger', async () => {
+    const stranger = await createUser('stranger');
+    const receiver = await createUser('receiver');
+    const strangerSocket = await connect(stranger);
+    const receiverSocket = await connect(receiver);
+    const reactions = collectEvents(strangerSocket, 'message:reaction');
+
+    const request = nextEvent(receiverSocket, 'message:request');
+    await send(strangerSocket, { content: 'Hello from nowhere', receiverId: receiver.id });
+    const { message } = await request;
+
+    const error = nextEvent(receiverSocket, 'message:error');
+    receiverSocket.emit('reaction:add', { messageId: message.id, emoji: '👍' });
+    expect(await error).toHaveProperty('error', 'Message not found or unauthorized');
+
+    await pause(200);
+    expect(reactions).toHaveLength(0);
+    expect(await prisma.reaction.count({ where: { messageId: message.id } })).toBe(0);
+  }, 10000);
+
+  describe('reactions', () => {
+    let alice;
+    let bob;
+    let aliceSocket;
+    let bobSocket;
+    let message;
+
+    beforeEach(async () => {
+      alice = await createUser('alice');
+      bob = await createUser('bob');
+      await makeContacts(alice, bob);
+      aliceSocket = await connect(alice);
+      bobSocket = await connect(bob);
+
+      const received = nextEvent(bobSocket, 'message:received');
+      message = await send(aliceSocket, { content: 'React to this', receiverId: bob.id });
+      await received;
+    });
+
+    it('should add, count and remove reactions', async () => {
+      let update = nextEvent(aliceSocket, 'message:reaction');
+      bobSocket.emit('reaction:add', { messageId: message.id, emoji: '👍' });
+      expect(await update).toMatchObject({
+        messageId: message.id,
+        userId: bob.id,
+        emoji: '👍',
+        action: 'added',
+        reactions: [{ emoji: '👍', count: 1 }],
+      });
+
+      update = nextEvent(aliceSocket, 'message:reaction');
+      aliceSocket.emit('reaction:add', { messageId: message.id, emoji: '👍' });
+      expect((await update).reactions).toEqual([{ emoji: '👍', count: 2 }]);
+
+      update = nextEvent(aliceSocket, 'message:reaction');
+      bobSocket.emit('reaction:remove', { messageId: message.id, emoji: '👍' });
+      expect(await update).toMatchObject({ action: 'removed', reactions: [{ emoji: '👍', count: 1 }] });
+    }, 10000);
+
+    it('should count a repeated reaction once', async () => {
+      for (let i = 0; i < 2; i++) {
+        const update = nextEvent(aliceSocket, 'message:reaction');
+        bobSocket.emit('reaction:add', { messageId: message.id, emoji: '🎉' });
+        expect((await update).reactions).toEqual([{ emoji: '🎉', count: 1 }]);
+      }
+      expect(await prisma.reaction.count({ where: { messageId: message.id } })).toBe(1);
+    }, 10000);
+
+    it('should not let someone outside the chat react', async () => {
+      const outsider = await connect(await createUser('outsider'));
+
+      const error = nextEvent(outsider, 'message:error');
+      outsider.emit('reaction:add', { messageId: message.id, emoji: '👍' });
+      expect(await error).toHaveProperty('error', 'Message not found or unauthorized');
+      expect(await prisma.reaction.count({ where: { messageId: message.id } })).toBe(0);
+    }, 10000);
+
+    it('should not let either side of a block react', async () => {
+      await prisma.block.create({ data: { blockerId: alice.id, blockedId: bob.id } });
+
+      const error = nextEvent(bobSocket, 'message:error');
+      bobSocket.emit('reaction:add', { messageId: message.id, emoji: '👍' });
+      expect(await error).toHaveProperty('error', 'Message not found or unauthorized');
+      expect(await prisma.reaction.count({ where: { messageId: message.id } })).toBe(0);
+    }, 10000);
+
+    it.each(['1', '#', '1#*❤', '👍👍', 'ok'])('should reject %p as a reaction', async (emoji) => {
+      const error = nextEvent(bobSocket, 'message:error');
+      bobSocket.emit('reaction:add', { messageId: message.id, emoji });
+      expect(await error).toHaveProperty('error', 'Validation error');
+    }, 10000);
+  });
+
+  describe('replies', () => {
+    let alice;
+    let bob;
+    let aliceSocket;
+
+    const replyError = 'Replied-to message not found in this conversation';
+
+    beforeEach(async () => {
+      alice = await createUser('alice');
+      bob = await createUser('bob');
+      await makeContacts(alice, bob);
+      aliceSocket = await connect(alice);
+    });
+
+    it('should embed a preview of the quoted message', async () => {
+      const parent = await send(aliceSocket, { content: 'What time works?', receiverId: bob.id });
+      const reply = await send(aliceSocket, { content: 'Or tomorrow', receiverId: bob.id, replyToId: parent.id });
+
+      expect(reply.replyTo).toMatchObject({
+        id: parent.id,
+        content: 'What time works?',
+        sender: { id: alice.id },
+        deleted: false,
+      });
+    }, 10000);
+
+    it('should reject a parent from another chat', async () => {
+      const carol = await createUser('carol');
+      const elsewhere = await prisma.message.create({
+        data: { content: 'Between alice and carol', senderId: alice.id, receiverId: carol.id },
+      });
+
+      const error = nextEvent(aliceSocket, 'message:error');
+      aliceSocket.emit('message:send', { content: 'Wrong chat', receiverId: bob.id, replyToId: elsewhere.id });
+      expect(await error).toHaveProperty('error', replyError);
+    }, 10000);
+
+    it('should reject a parent deleted for everyone', async () => {
+      const parent = await prisma.message.create({
+        data: { content: 'Gone', senderId: bob.id, receiverId: alice.id, deletedAt: new Date() },
+      });
+
+      const error = nextEvent(aliceSocket, 'message:error');
+      aliceSocket.emit('message:send', { content: 'Quoting a tombstone', receiverId: bob.id, replyToId: parent.id });
+      expect(await error).toHaveProperty('error', replyError);
+    }, 10000);
+
+    it('should reject a parent the sender deleted for themselves', async () => {
+      const parent = await prisma.message.create({
+        data: { content: 'Hidden from alice', senderId: bob.id, receiverId: alice.id },
+      });
+      await prisma.hiddenMessage.create({ data: { messageId: parent.id, userId: alice.id } });
+
+      const error = nextEvent(aliceSocket, 'message:error');
+      aliceSocket.emit('message:send', { content: 'Quoting the unseen', receiverId: bob.id, replyToId: parent.id });
+      expect(await error).toHaveProperty('error', replyError);
+    }, 10000);
+  });
+
+  describe('reconnect sync', () => {
+    let alice;
+    let bob;
+
+    // Direct messages from one user to another, a second apart from start
+    const createMessages = async (sender, receiver, count, start, extra = {}) => {
+      await prisma.message.createMany({
+        data: Array.from({ length: count }, (_, i) => ({
+          content: `Missed ${i + 1}`,
+          senderId: sender.id,
+          receiverId: receiver.id,
+          createdAt: new Date(start.getTime() + i * 1000),
+          ...extra,
+        })),
+      });
+      return prisma.message.findMany({
+        where: { senderId: sender.id, receiverId: receiver.id },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      });
+    };
+
+    beforeEach(async () => {
+      alice = await createUser('alice');
+      bob = await createUser('bob');
+      await makeContacts(alice, bob);
+    });
+
+    it('should replay messages after the last one seen', async () => {
+      const [seen, ...missed] = await createMessages(alice, bob, 3, new Date(Date.now() - 60000));
+
+      const socket = openSocket(bob, { lastMessageId: seen.id });
+      const received = collectEvents(socket, 'message:received');
+      const complete = await nextEvent(socket, 'sync:complete');
+
+      expect(received.map(message => message.id)).toEqual(missed.map(message => message.id));
+      expect(complete).toEqual({
+        replayed: { messages: 2, deliveries: 0, reads: 0 },
+        hasMore: false,
+        lastMessageId: missed[1].id,
+      });
+    }, 10000);
+
+    it('should replay messages and receipts since a timestamp', async () => {
+      const start = new Date(Date.now() - 60000);
+      const [sent] = await createMessages(alice, bob, 1, start, {
+        deliveredAt: new Date(start.getTime() + 5000),
+        readAt: new Date(start.getTime() + 6000),
+        read: true,
+      });
+      const [reply] = await createMessages(bob, alice, 1, new Date(start.getTime() + 7000));
+
+      const socket = openSocket(alice, { since: new Date(start.getTime() - 1000).toISOString() });
+      const received = collectEvents(socket, 'message:received');
+      const delivered = collectEvents(socket, 'message:delivered');
+      const read = collectEvents(socket, 'message:read');
+      const complete = await nextEvent(socket, 'sync:complete');
+
+      expect(received.map(message => message.id)).toEqual([reply.id]);
+      expect(delivered).toEqual([expect.objectContaining({ messageId: sent.id, deliveredTo: bob.id })]);
+      expect(read).toEqual([expect.objectContaining({ messageId: sent.id, readBy: bob.id })]);
+      expect(complete.replayed).toEqual({ messages: 1, deliveries: 1, reads: 1 });
+      expect(complete.hasMore).toBe(false);
+    }, 10000);
+
+    it('should page receipt updates with a cursor', async () => {
+      const start = new Date(Date.now() - 600000);
+      await createMessages(alice, bob, 201, start, { deliveredAt: new Date() });
+
+      const socket = openSocket(alice, { since: new Date(start.getTime() - 1000).toISOString() });
+      const delivered = collectEvents(socket, 'message:delivered');
+      const first = await nextEvent(socket, 'sync:complete');
+
+      expect(first.replayed.deliveries).toBe(200);
+      expect(first.hasMore).toBe(true);
+      expect(first).toHaveProperty('cursor');
+
+      const second = nextEvent(socket, 'sync:complete');
+      socket.emit('sync', { cursor: first.cursor });
+      expect((await second).replayed.deliveries).toBe(1);
+      expect((await second).hasMore).toBe(false);
+
+      // Every message's receipt exactly once
+      expect(new Set(delivered.map(receipt => receipt.messageId)).size).toBe(201);
+      expect(delivered).toHaveLength(201);
+    }, 10000);
+
+    it('should reject a tampered cursor', async () => {
+      const socket = await connect(alice);
+
+      const error = nextEvent(socket, 'sync:error');
+      socket.emit('sync', { cursor: 'not-a-cursor' });
+      expect(await error).toHaveProperty('error', 'Invalid cursor');
+    }, 10000);
+  });
 });
 
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocalStorageDriver } from '../services/storage/localDriver.js';
+
+describe('LocalStorageDriver', () => {
+  let rootDir;
+  let driver;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chat-uploads-'));
+    driver = new LocalStorageDriver(rootDir);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const readAll = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+
+  it('should save and read back a file', async () => {
+    await driver.save('2026/01/file-1', Buffer.from('hello'));
+
+    const content = await readAll(driver.createReadStream('2026/01/file-1'));
+    expect(content.toString()).toBe('hello');
+  });
+
+  it('should remove a file', async () => {
+    await driver.save('2026/01/file-2', Buffer.from('bye'));
+    await driver.remove('2026/01/file-2');
+
+    expect(fs.existsSync(path.join(rootDir, '2026/01/file-2'))).toBe(false);
+  });
+
+  it('should reject keys outside the root directory', async () => {
+    await expect(driver.save('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    expect(() => driver.createReadStream('../../etc/passwd')).toThrow('Invalid storage key');
+  });
+});
@@ -0,0 +1,46 @@
+import { TokenBucketLimiter } from '../utils/tokenBucket.js';
+
+describe('TokenBucketLimiter', () => {
+  let clock;
+  let limiter;
+  const limit = { capacity: 3, refillPerSec: 1 };
+
+  beforeEach(() => {
+    clock = 0;
+    limiter = new TokenBucketLimiter({ now: () => clock });
+  });
+
+  it('should allow a burst up to the capacity', () => {
+    expect(limiter.take('user-1', limit)).toMatchObject({ allowed: true, remaining: 2 });
+    expect(limiter.take('user-1', limit)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(limiter.take('user-1', limit)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(limiter.take('user-1', limit)).toMatchObject({ allowed: false, retryAfterMs: 1000 });
+  });
+
+  it('should refill over time', () => {
+    for (let i = 0; i < 3; i++) limiter.take('user-1', limit);
+
+    clock += 500;
+    expect(limiter.take('user-1', limit)).toMatchObject({ allowed: false, retryAfterMs: 500 });
+
+    clock += 500;
+    expect(limiter.take('user-1', limit).allowed).toBe(true);
+  });
+
+  it('should keep separate buckets per key', () => {
+    for (let i = 0; i < 3; i++) limiter.take('user-1', limit);
+
+    expect(limiter.take('user-1', limit).allowed).toBe(false);
+    expect(limiter.take('user-2', limit).allowed).toBe(true);
+  });
+
+  it('should sweep only buckets that have refilled', () => {
+    limiter.take('user-1', limit);
+    clock += 2000;
+    limiter.take('user-2', limit);
+
+    limiter.sweep();
+    expect(limiter.buckets.has('user-1')).toBe(false);
+    expect(limiter.buckets.has('user-2')).toBe(true);
+  });
+});
@@ -0,0 +1,33 @@
+import { base32Encode, base32Decode, generateCode, verifyCode, otpauthUri, timeStep } from '../utils/totp.js';
+
+// RFC 6238 appendix B secret ("12345678901234567890"), SHA1 variant
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32', () => {
+    const bytes = Buffer.from('hello two-factor');
+    expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateCode(RFC_SECRET, timeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, timeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('should accept codes from adjacent steps only', () => {
+    const now = 1234567890 * 1000;
+    const previous = generateCode(RFC_SECRET, timeStep(now) - 1);
+    const stale = generateCode(RFC_SECRET, timeStep(now) - 3);
+
+    expect(verifyCode(RFC_SECRET, previous, { now })).toBe(timeStep(now) - 1);
+    expect(verifyCode(RFC_SECRET, stale, { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = otpauthUri({ secret: 'ABC', accountName: 'john@example.com', issuer: 'Chat' });
+    expect(uri).toBe('otpauth://totp/Chat%3Ajohn%40example.com?secret=ABC&issuer=Chat&algorithm=SHA1&digits=6&period=30');
+  });
+});
@@ -0,0 +1,204 @@
+import request from 'supertest';
+import express from 'express';
+import dotenv from 'dotenv';
+import authRoutes from '../routes/authRoutes.js';
+import userRoutes from '../routes/userRoutes.js';
+import conversationRoutes from '../routes/conversationRoutes.js';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/conversations', conversationRoutes);
+
+describe('Users API', () => {
+  const testUser = {
+    username: `profile_${Date.now()}`,
+    email: `profile_${Date.now()}@example.com`,
+    password: 'testpassword123',
+  };
+
+  let userId = null;
+  let authToken = null;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+    userId = response.body.data.user.id;
+    authToken = response.body.data.token;
+  });
+
+  it('should return your own profile with email', async () => {
+    const response = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.user).toHaveProperty('email', testUser.email);
+    expect(response.body.data.user).toHaveProperty('displayName', testUser.username);
+  });
+
+  it('should update the profile', async () => {
+    const response = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ displayName: 'Profile Tester', bio: 'Hi!', avatarUrl: 'https://example.com/me.png' })
+      .expect(200);
+
+    expect(response.body.data.user).toMatchObject({
+      displayName: 'Profile Tester',
+      bio: 'Hi!',
+      avatar: { url: 'https://example.com/me.png', attachmentId: null },
+    });
+  });
+
+  it('should hide the email on public profiles', async () => {
+    const response = await request(app)
+      .get(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.user).toHaveProperty('displayName', 'Profile Tester');
+    expect(response.body.data.user).not.toHaveProperty('email');
+  });
+
+  it('should find users by username prefix, excluding yourself', async () => {
+    const other = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: `${testUser.username}_friend`,
+        email: `friend_${testUser.email}`,
+        password: 'testpassword123',
+      });
+
+    const response = await request(app)
+      .get('/api/users/search')
+      .query({ q: testUser.username.toUpperCase() })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const ids = response.body.data.users.map(user => user.id);
+    expect(ids).toContain(other.body.data.user.id);
+    expect(ids).not.toContain(userId);
+  });
+
+  it('should reject a password change with the wrong current password', async () => {
+    await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ currentPassword: 'wrong-password', newPassword: 'newpassword123' })
+      .expect(401);
+  });
+
+  it('should change the password and sign out other sessions', async () => {
+    const other = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+
+    const response = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ currentPassword: testUser.password, newPassword: 'newpassword123' })
+      .expect(200);
+
+    expect(response.body.data.revokedSessions).toBe(1);
+
+    await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${other.body.data.token}`)
+      .expect(401);
+  });
+});
+
+describe('Blocking and muting', () => {
+  const stamp = Date.now();
+  let blocker = null;
+  let blocked = null;
+
+  const register = async (name) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: `${name}_${stamp}`,
+        email: `${name}_${stamp}@example.com`,
+        password: 'testpassword123',
+      });
+    return { id: response.body.data.user.id, token: response.body.data.token };
+  };
+
+  beforeAll(async () => {
+    blocker = await register('blocker');
+    blocked = await register('blocked');
+  });
+
+  it('should not let you block yourself', async () => {
+    await request(app)
+      .post(`/api/users/${blocker.id}/block`)
+      .set('Authorization', `Bearer ${blocker.token}`)
+      .expect(400);
+  });
+
+  it('should block a user and list them', async () => {
+    await request(app)
+      .post(`/api/users/${blocked.id}/block`)
+      .set('Authorization', `Bearer ${blocker.token}`)
+      .expect(201);
+
+    const response = await request(app)
+      .get('/api/users/me/blocked')
+      .set('Authorization', `Bearer ${blocker.token}`)
+      .expect(200);
+
+    expect(response.body.data.users.map(user => user.id)).toEqual([blocked.id]);
+  });
+
+  it('should hide blocked users from search in both directions', async () => {
+    const response = await request(app)
+      .get('/api/users/search')
+      .query({ q: `blocker_${stamp}` })
+      .set('Authorization', `Bearer ${blocked.token}`)
+      .expect(200);
+
+    expect(response.body.data.users).toHaveLength(0);
+  });
+
+  it('should not let a blocked user pull the blocker into a group', async () => {
+    const response = await request(app)
+      .post('/api/conversations')
+      .set('Authorization', `Bearer ${blocked.token}`)
+      .send({ name: 'Uninvited', memberIds: [blocker.id] })
+      .expect(403);
+
+    expect(response.body.details.blockedIds).toEqual([blocker.id]);
+  });
+
+  it('should unblock a user', async () => {
+    await request(app)
+      .delete(`/api/users/${blocked.id}/block`)
+      .set('Authorization', `Bearer ${blocker.token}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/users/${blocked.id}/block`)
+      .set('Authorization', `Bearer ${blocker.token}`)
+      .expect(404);
+  });
+
+  it('should mute and unmute a direct chat', async () => {
+    const response = await request(app)
+      .post(`/api/users/${blocked.id}/mute`)
+      .set('Authorization', `Bearer ${blocker.token}`)
+      .send({ minutes: 60 })
+      .expect(200);
+
+    expect(new Date(response.body.data.mutedUntil).getTime()).toBeGreaterThan(Date.now());
+
+    await request(app)
+      .delete(`/api/users/${blocked.id}/mute`)
+      .set('Authorization', `Bearer ${blocker.token}`)
+      .expect(200);
+  });
+});
@@ -0,0 +1,39 @@
+// Per-user token buckets for socket events: up to `capacity` events in a
+// burst, refilled at `refillPerSec`. Events not listed here are unlimited.
+const DEFAULT_SOCKET_RATE_LIMITS = {
+  'message:send': { capacity: 10, refillPerSec: 1 },
+  'message:edit': { capacity: 10, refillPerSec: 0.5 },
+  'message:delete': { capacity: 10, refillPerSec: 0.5 },
+  'typing:start': { capacity: 5, refillPerSec: 1 },
+  'typing:stop': { capacity: 5, refillPerSec: 1 },
+  'reaction:add': { capacity: 20, refillPerSec: 2 },
+  'reaction:remove': { capacity: 20, refillPerSec: 2 },
+  'message:delivered': { capacity: 100, refillPerSec: 20 },
+  'message:read': { capacity: 100, refillPerSec: 20 },
+  'conversation:read': { capacity: 30, refillPerSec: 5 },
+  'sync': { capacity: 5, refillPerSec: 0.2 },
+};
+
+// Parse a JSON env var, falling back (with a warning) when it's malformed
+const parseJsonEnv = (name) => {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`Ignoring ${name}: not valid JSON`);
+    return {};
+  }
+};
+
+// Defaults merged with SOCKET_RATE_LIMITS, e.g.
+// SOCKET_RATE_LIMITS='{"message:send":{"capacity":20,"refillPerSec":2}}'
+export const socketRateLimits = () => ({
+  ...DEFAULT_SOCKET_RATE_LIMITS,
+  ...parseJsonEnv('SOCKET_RATE_LIMITS'),
+});
+
+// HTTP limits per client IP, as requests per minute
+export const httpRateLimits = () => ({
+  auth: parseInt(process.env.HTTP_AUTH_RATE_LIMIT) || 20,
+  messages: parseInt(process.env.HTTP_MESSAGES_RATE_LIMIT) || 120,
+});
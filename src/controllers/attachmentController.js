@@ -0,0 +1,195 @@
+import multer from 'multer';
+import { imageSize } from 'image-size';
+import prisma from '../config/database.js';
+import storageService from '../services/storageService.js';
+import { formatAttachment } from '../utils/messageFormat.js';
+
+const maxAttachmentBytes = () => parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const ALLOWED_MIME_TYPES = [
+  ...IMAGE_MIME_TYPES,
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'audio/mpeg',
+  'audio/ogg',
+  'video/mp4',
+];
+
+// Run multer and turn its errors into the usual JSON error responses. Files
+// are buffered in memory (bounded by the size limit) and handed to the storage driver.
+export const parseUpload = (req, res, next) => {
+  const maxBytes = maxAttachmentBytes();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxBytes,
+      files: 1,
+    },
+  }).single('file');
+
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: 'File too large',
+        message: `Attachments can be at most ${maxBytes} bytes.`,
+        maxBytes
+      });
+    }
+    res.status(400).json({
+      success: false,
+      error: 'Upload error',
+      message: error.message,
+      suggestion: 'Send a multipart/form-data request with a single file in the "file" field'
+    });
+  });
+};
+
+export const uploadAttachment = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file provided',
+        message: 'Please upload a file in the "file" field of a multipart/form-data request.',
+        example: 'curl -F "file=@photo.png" -H "Authorization: Bearer <token>" http://localhost:3000/api/attachments'
+      });
+    }
+
+    const { originalname, mimetype, size, buffer } = req.file;
+
+    if (!ALLOWED_MIME_TYPES.includes(mimetype)) {
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported file type',
+        message: `Files of type ${mimetype} cannot be attached.`,
+        allowedTypes: ALLOWED_MIME_TYPES
+      });
+    }
+
+    // Images must actually decode as the declared type; this also yields their dimensions
+    let dimensions = null;
+    if (IMAGE_MIME_TYPES.includes(mimetype)) {
+      try {
+        dimensions = imageSize(buffer);
+      } catch {
+        dimensions = null;
+      }
+      if (!dimensions || `image/${dimensions.type === 'jpg' ? 'jpeg' : dimensions.type}` !== mimetype) {
+        return res.status(415).json({
+          success: false,
+          error: 'Invalid image',
+          message: `The uploaded file is not a valid ${mimetype} image.`
+        });
+      }
+    }
+
+    const storageKey = storageService.createKey();
+    await storageService.save(storageKey, buffer);
+
+    const attachment = await prisma.attachment.create({
+      data: {
+        uploaderId: req.user.id,
+        storageKey,
+        fileName: originalname.slice(0, 255),
+        mimeType: mimetype,
+        size,
+        width: dimensions ? dimensions.width : null,
+        height: dimensions ? dimensions.height : null,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        attachment: formatAttachment(attachment)
+      },
+      instructions: {
+        sendMessage: 'Emit message:send with { receiverId or conversationId, content, attachmentIds: [id] } over Socket.IO'
+      }
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while uploading the file. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const downloadAttachment = async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const userId = req.user.id;
+
+    // Visible to its uploader, once sent to anyone who can see the message,
+    // and to everyone while it is someone's avatar
+    const attachment = await prisma.attachment.findFirst({
+      where: {
+        id: attachmentId,
+        OR: [
+          { uploaderId: userId },
+          { avatarOf: { isNot: null } },
+          {
+            message: {
+              deletedAt: null,
+              OR: [
+                { senderId: userId },
+                { receiverId: userId },
+                { conversation: { participants: { some: { userId } } } },
+              ],
+            },
+          },
+        ],
+      },
+    });
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found',
+        message: `No attachment found with ID: ${attachmentId}`,
+        suggestion: 'Please verify the attachment ID and that you are part of the conversation it was sent in'
+      });
+    }
+
+    const stream = storageService.createReadStream(attachment.storageKey);
+
+    stream.on('error', (error) => {
+      console.error('Attachment read error:', error);
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Attachment not found',
+          message: 'The file for this attachment is no longer available.'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Content-Disposition', `${IMAGE_MIME_TYPES.includes(attachment.mimeType) ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while downloading the file. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
@@ -1,7 +1,82 @@
 import bcrypt from 'bcryptjs';
 import prisma from '../config/database.js';
-import { generateToken } from '../utils/jwt.js';
-import { registerSchema, loginSchema } from '../utils/validation.js';
+import sessionService from '../services/sessionService.js';
+import authTokenService, { TOKEN_TYPES } from '../services/authTokenService.js';
+import mailService from '../services/mailService.js';
+import loginThrottleService from '../services/loginThrottleService.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  loginTwoFactorSchema,
+} from '../utils/validation.js';
+import { generateMfaToken, mfaTokenExpiresIn, verifyMfaToken } from '../utils/jwt.js';
+import twoFactorService from '../services/twoFactorService.js';
+
+// Device details recorded on the session created at register/login
+const deviceInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+  deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.trim().slice(0, 100) : undefined,
+});
+
+// 429 for a login attempt blocked by brute-force protection
+const tooManyAttemptsResponse = (res, block) => {
+  const retryAfter = Math.ceil(block.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Too many login attempts',
+    message: block.locked
+      ? `Login is temporarily locked after too many failed attempts. Try again in ${retryAfter} second(s).`
+      : `Too many failed login attempts. Please wait ${retryAfter} second(s) before trying again.`,
+    retryAfter,
+    suggestion: 'If you forgot your password, reset it at POST /api/auth/forgot-password'
+  });
+};
+
+// Start a session for a fully authenticated user and send its tokens
+const loginSuccessResponse = async (req, res, user, extra = {}) => {
+  const tokens = await sessionService.startSession(user.id, deviceInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: Boolean(user.emailVerifiedAt)
+      },
+      ...tokens,
+      ...extra
+    },
+    instructions: {
+      nextSteps: [
+        'Use this token in Authorization header for protected endpoints',
+        'Format: Authorization: Bearer <token>',
+        'Connect to Socket.IO using this token for real-time messaging',
+        'Get chat history: GET /api/messages/history/:userId',
+        'Renew the token at POST /api/auth/refresh with { refreshToken } before it expires in ' + tokens.expiresIn
+      ],
+      socketConnection: 'Connect to ws://localhost:3000 with auth: { token: "' + tokens.token + '" }'
+    }
+  });
+};
+
+// Mail a fresh verification token; a mail failure must not fail the request
+const sendVerificationEmail = async (user) => {
+  try {
+    const { token, expiresAt } = await authTokenService.issue(user.id, TOKEN_TYPES.EMAIL_VERIFICATION);
+    await mailService.sendEmailVerification(user, token, expiresAt);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
 
 export const register = async (req, res) => {
   try {
@@ -147,8 +222,10 @@ export const register = async (req, res) => {
       }
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    await sendVerificationEmail(user);
+
+    // Start a session and issue its tokens
+    const tokens = await sessionService.startSession(user.id, deviceInfo(req));
 
     res.status(201).json({
       success: true,
@@ -158,20 +235,21 @@ export const register = async (req, res) => {
           id: user.id,
           username: user.username,
           email: user.email,
+          emailVerified: false,
           createdAt: user.createdAt
         },
-        token: token,
-        tokenType: 'Bearer',
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+        ...tokens
       },
       instructions: {
         nextSteps: [
           'Use the token in Authorization header for protected endpoints',
           'Format: Authorization: Bearer <token>',
           'Connect to Socket.IO using this token for real-time messaging',
-          'Token expires in: ' + (process.env.JWT_EXPIRES_IN || '7d')
+          'Token expires in: ' + tokens.expiresIn,
+          'Check your inbox and confirm your email at POST /api/auth/verify-email with { token }',
+          'Get a new token before then at POST /api/auth/refresh with { refreshToken }'
         ],
-        socketConnection: 'Connect to ws://localhost:3000 with auth: { token: "' + token + '" }'
+        socketConnection: 'Connect to ws://localhost:3000 with auth: { token: "' + tokens.token + '" }'
       }
     });
   } catch (error) {
@@ -238,12 +316,24 @@ export const login = async (req, res) => {
   try {
     const validatedData = loginSchema.parse(req.body);
     
+    const attempt = { email: validatedData.email, ip: req.ip };
+
+    // Refuse before touching bcrypt while this account or IP is blocked
+    const block = await loginThrottleService.check(attempt);
+    if (block.blocked) {
+      return tooManyAttemptsResponse(res, block);
+    }
+
     // Find user
     const user = await prisma.user.findUnique({
       where: { email: validatedData.email },
     });
 
     if (!user) {
+      const failure = await loginThrottleService.recordFailure(attempt);
+      if (failure.locked) {
+        return tooManyAttemptsResponse(res, failure);
+      }
       return res.status(401).json({ 
         success: false,
         error: 'Authentication failed',
@@ -256,38 +346,350 @@ export const login = async (req, res) => {
     const isValidPassword = await bcrypt.compare(validatedData.password, user.password);
 
     if (!isValidPassword) {
+      const failure = await loginThrottleService.recordFailure({ ...attempt, userId: user.id });
+      if (failure.locked) {
+        return tooManyAttemptsResponse(res, failure);
+      }
       return res.status(401).json({ 
         success: false,
         error: 'Authentication failed',
         message: 'Invalid email or password. Please check your credentials and try again.',
-        suggestion: 'Make sure you\'re using the correct password for this account'
+        suggestion: 'Make sure you\'re using the correct password for this account. Forgot it? POST /api/auth/forgot-password'
+      });
+    }
+
+    // With 2FA on, the password alone only earns a short-lived mfa token.
+    // Failed attempts are only cleared once the second step succeeds.
+    if (user.twoFactorEnabledAt) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaToken(user.id),
+          expiresIn: mfaTokenExpiresIn()
+        },
+        instructions: {
+          nextStep: 'POST /api/auth/login/2fa with { mfaToken, code } using the code from your authenticator app, or { mfaToken, recoveryCode }'
+        }
+      });
+    }
+
+    await loginThrottleService.recordSuccess(attempt);
+
+    await loginSuccessResponse(req, res, user);
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your input data. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message,
+          received: err.input
+        })),
+        example: {
+          email: 'john@example.com (valid email)',
+          password: 'password123 (required)'
+        }
+      });
+    }
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const loginTwoFactor = async (req, res) => {
+  try {
+    const validatedData = loginTwoFactorSchema.parse(req.body);
+
+    let decoded;
+    try {
+      decoded = verifyMfaToken(validatedData.mfaToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        error: tokenError.name === 'TokenExpiredError' ? 'MFA token expired' : 'Invalid MFA token',
+        message: 'The mfaToken is invalid or has expired.',
+        suggestion: 'Login again at POST /api/auth/login to get a new mfaToken'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+    });
+
+    if (!user || !user.twoFactorEnabledAt) {
+      return res.status(401).json({
+        success: false,
+        error: 'Two-factor authentication not enabled',
+        message: 'This account does not use two-factor authentication.',
+        suggestion: 'Login again at POST /api/auth/login'
+      });
+    }
+
+    // Codes are guessable too, so they count towards the same lockout
+    const attempt = { email: user.email, ip: req.ip, userId: user.id };
+    const block = await loginThrottleService.check(attempt);
+    if (block.blocked) {
+      return tooManyAttemptsResponse(res, block);
+    }
+
+    const verified = await twoFactorService.verifyLogin(user, validatedData);
+
+    if (!verified) {
+      const failure = await loginThrottleService.recordFailure(attempt);
+      if (failure.locked) {
+        return tooManyAttemptsResponse(res, failure);
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication failed',
+        message: validatedData.code
+          ? 'The code is wrong, expired or was already used.'
+          : 'The recovery code is wrong or was already used.',
+        suggestion: 'Enter the current code from your authenticator app, or one of your unused recovery codes'
+      });
+    }
+
+    await loginThrottleService.recordSuccess(attempt);
+
+    await loginSuccessResponse(req, res, user, verified.method === 'recovery_code'
+      ? { remainingRecoveryCodes: verified.remainingRecoveryCodes }
+      : {});
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your input data. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        })),
+        example: {
+          mfaToken: '<mfaToken from POST /api/auth/login>',
+          code: '123456 (or recoveryCode: "ABCDE-FGHJK")'
+        }
+      });
+    }
+    console.error('2FA login error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+const REFRESH_ERRORS = {
+  invalid: {
+    error: 'Invalid refresh token',
+    message: 'The provided refresh token is not recognised.'
+  },
+  expired: {
+    error: 'Refresh token expired',
+    message: 'Your session has expired.'
+  },
+  revoked: {
+    error: 'Session revoked',
+    message: 'This session has been logged out or revoked.'
+  },
+  reused: {
+    error: 'Refresh token reused',
+    message: 'This refresh token was already used. The session has been revoked to protect your account.'
+  },
+};
+
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = refreshTokenSchema.parse(req.body);
+
+    const result = await sessionService.refresh(refreshToken);
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        ...REFRESH_ERRORS[result.error],
+        suggestion: 'Please login again at POST /api/auth/login'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: result,
+      instructions: {
+        note: 'The previous refresh token is no longer valid; store the new one'
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please provide the refresh token returned at login or by the previous refresh.',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        })),
+        example: {
+          refreshToken: '<refreshToken from login or the last refresh>'
+        }
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    const allSessions = req.body?.allSessions === true;
+
+    if (allSessions) {
+      const count = await sessionService.revokeAllForUser(req.user.id, 'logout_all');
+      return res.status(200).json({
+        success: true,
+        message: `Logged out of ${count} session(s)`,
+        data: { revokedSessions: count }
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    await sessionService.revokeSession(req.sessionId, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+      data: { revokedSessions: 1 }
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const listSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
+      message: `Found ${sessions.length} active session(s)`,
       data: {
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email
-        },
-        token: token,
-        tokenType: 'Bearer',
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.sessionId,
+        })),
       },
       instructions: {
-        nextSteps: [
-          'Use this token in Authorization header for protected endpoints',
-          'Format: Authorization: Bearer <token>',
-          'Connect to Socket.IO using this token for real-time messaging',
-          'Get chat history: GET /api/messages/history/:userId'
-        ],
-        socketConnection: 'Connect to ws://localhost:3000 with auth: { token: "' + token + '" }'
+        signOutDevice: 'DELETE /api/auth/sessions/:sessionId'
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while fetching your sessions. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await sessionService.findActiveSession(sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        message: `No active session found with ID: ${sessionId}`,
+        suggestion: 'List your sessions at GET /api/auth/sessions'
+      });
+    }
+
+    await sessionService.revokeSession(sessionId, 'signed_out_remotely');
+
+    res.status(200).json({
+      success: true,
+      message: `Signed out ${session.deviceName || 'the device'}`,
+      data: {
+        sessionId,
+        wasCurrentSession: sessionId === req.sessionId
+      }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while signing out the device. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+const AUTH_TOKEN_ERRORS = {
+  invalid: {
+    error: 'Invalid token',
+    message: 'The provided token is not recognised.'
+  },
+  used: {
+    error: 'Token already used',
+    message: 'This token has already been used or was replaced by a newer one.'
+  },
+  expired: {
+    error: 'Token expired',
+    message: 'This token has expired.'
+  },
+};
+
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = forgotPasswordSchema.parse(req.body);
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, username: true, email: true },
+    });
+
+    if (user) {
+      const { token, expiresAt } = await authTokenService.issue(user.id, TOKEN_TYPES.PASSWORD_RESET);
+      try {
+        await mailService.sendPasswordReset(user, token, expiresAt);
+      } catch (mailError) {
+        // Logged rather than returned, which would reveal that the account exists
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    // Same answer either way, so the endpoint can't be used to probe for accounts
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.',
+      instructions: {
+        nextStep: 'Submit the token from the email to POST /api/auth/reset-password with { token, password }'
       }
     });
   } catch (error) {
@@ -295,19 +697,84 @@ export const login = async (req, res) => {
       return res.status(400).json({ 
         success: false,
         error: 'Validation error',
-        message: 'Please check your input data. The following fields have errors:',
+        message: 'Please provide the email address of your account.',
         details: error.errors.map(err => ({
           field: err.path.join('.'),
           message: err.message,
           received: err.input
         })),
         example: {
-          email: 'john@example.com (valid email)',
-          password: 'password123 (required)'
+          email: 'john@example.com (valid email)'
         }
       });
     }
-    console.error('Login error:', error);
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = resetPasswordSchema.parse(req.body);
+
+    const result = await authTokenService.consume(token, TOKEN_TYPES.PASSWORD_RESET);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        ...AUTH_TOKEN_ERRORS[result.error],
+        suggestion: 'Request a new reset link at POST /api/auth/forgot-password'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Receiving the email proves ownership of the address as well
+    const user = await prisma.user.update({
+      where: { id: result.userId },
+      data: {
+        password: hashedPassword,
+        emailVerifiedAt: new Date(),
+      },
+      select: { id: true, email: true },
+    });
+
+    // A proven owner shouldn't stay locked out by someone else's guesses
+    await loginThrottleService.clearAccount(user.email);
+
+    // Whoever knew the old password must not stay signed in
+    const revokedSessions = await sessionService.revokeAllForUser(user.id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully',
+      data: { revokedSessions },
+      instructions: {
+        nextStep: 'Login with your new password at POST /api/auth/login'
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your input data. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        })),
+        example: {
+          token: '<token from the reset email>',
+          password: 'newpassword123 (minimum 6 characters)'
+        }
+      });
+    }
+    console.error('Reset password error:', error);
     res.status(500).json({ 
       success: false,
       error: 'Internal server error',
@@ -317,4 +784,56 @@ export const login = async (req, res) => {
   }
 };
 
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = verifyEmailSchema.parse(req.body);
+
+    const result = await authTokenService.consume(token, TOKEN_TYPES.EMAIL_VERIFICATION);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        ...AUTH_TOKEN_ERRORS[result.error],
+        suggestion: 'Use the token from the most recent verification email'
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: result.userId },
+      data: { emailVerifiedAt: new Date() },
+      select: { id: true, email: true, emailVerifiedAt: true },
+    });
 
+    res.status(200).json({
+      success: true,
+      message: `Email ${user.email} verified successfully`,
+      data: {
+        userId: user.id,
+        email: user.email,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please provide the token from the verification email.',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        })),
+        example: {
+          token: '<token from the verification email>'
+        }
+      });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
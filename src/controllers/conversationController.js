@@ -0,0 +1,397 @@
+import prisma from '../config/database.js';
+import socketService from '../services/socketService.js';
+import blockService from '../services/blockService.js';
+import muteService from '../services/muteService.js';
+import { createConversationSchema, addMembersSchema, muteSchema } from '../utils/validation.js';
+import { formatPublicProfile, publicUserSelect } from '../utils/userFormat.js';
+import { internalErrorResponse, validationErrorResponse } from '../utils/errorResponses.js';
+
+const participantInclude = {
+  participants: {
+    include: {
+      user: {
+        select: publicUserSelect,
+      },
+    },
+    orderBy: {
+      joinedAt: 'asc',
+    },
+  },
+};
+
+// Members in hiddenPresenceIds (e.g. across a block with the viewer) always show offline
+const formatConversation = async (conversation, hiddenPresenceIds = new Set()) => {
+  const online = await socketService.getOnlineStatus(conversation.participants.map(p => p.user.id));
+
+  return {
+    id: conversation.id,
+    name: conversation.name,
+    createdById: conversation.createdById,
+    createdAt: conversation.createdAt,
+    members: conversation.participants.map(participant => ({
+      ...formatPublicProfile(participant.user),
+      role: participant.role,
+      joinedAt: participant.joinedAt,
+      online: !hiddenPresenceIds.has(participant.user.id) && online[participant.user.id],
+    })),
+  };
+};
+
+// Nobody can be put in a group by someone on either side of a block with them
+const blockedMembersResponse = (res, userIds) => res.status(403).json({
+  success: false,
+  error: 'Cannot add member',
+  message: 'One or more of the requested members cannot be added by you because of a block.',
+  details: {
+    blockedIds: userIds
+  },
+  suggestion: 'Remove them from memberIds and try again'
+});
+
+const findBlockedMemberIds = async (userId, memberIds) => {
+  const blockedIds = await blockService.getBlockRelatedIds(userId);
+  return memberIds.filter(memberId => blockedIds.has(memberId));
+};
+
+const findMembership = (conversationId, userId) => prisma.participant.findUnique({
+  where: {
+    conversationId_userId: { conversationId, userId },
+  },
+});
+
+export const createConversation = async (req, res) => {
+  try {
+    const validatedData = createConversationSchema.parse(req.body);
+    const memberIds = [...new Set(validatedData.memberIds)].filter(id => id !== req.user.id);
+
+    const existingMembers = await prisma.user.findMany({
+      where: { id: { in: memberIds } },
+      select: { id: true },
+    });
+
+    if (existingMembers.length !== memberIds.length) {
+      const foundIds = new Set(existingMembers.map(user => user.id));
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'One or more of the requested members do not exist.',
+        details: {
+          missingIds: memberIds.filter(id => !foundIds.has(id))
+        },
+        suggestion: 'Please verify the member IDs and try again'
+      });
+    }
+
+    const blockedMemberIds = await findBlockedMemberIds(req.user.id, memberIds);
+    if (blockedMemberIds.length > 0) {
+      return blockedMembersResponse(res, blockedMemberIds);
+    }
+
+    const conversation = await prisma.conversation.create({
+      data: {
+        name: validatedData.name,
+        createdById: req.user.id,
+        participants: {
+          create: [
+            { userId: req.user.id, role: 'admin' },
+            ...memberIds.map(userId => ({ userId })),
+          ],
+        },
+      },
+      include: participantInclude,
+    });
+
+    const formatted = await formatConversation(conversation);
+    socketService.joinConversation(conversation.id, [req.user.id, ...memberIds]);
+    socketService.emitToConversation(conversation.id, 'conversation:created', formatted);
+
+    res.status(201).json({
+      success: true,
+      message: `Group "${conversation.name}" created with ${formatted.members.length} member(s)`,
+      data: {
+        conversation: formatted
+      },
+      instructions: {
+        sendMessage: 'Emit message:send with { conversationId, content } over Socket.IO',
+        history: `GET /api/messages/history/conversation/${conversation.id}`
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return validationErrorResponse(res, error, {
+        name: 'Team chat (1-100 characters, required)',
+        memberIds: ['uuid-format (optional, up to 100)']
+      });
+    }
+    console.error('Create conversation error:', error);
+    internalErrorResponse(res, error, 'creating the group');
+  }
+};
+
+export const getConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    const membership = await findMembership(conversationId, req.user.id);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+        message: `No group found with ID: ${conversationId}, or you are not a member of it`,
+        suggestion: 'Please verify the conversation ID and try again'
+      });
+    }
+
+    const [conversation, blockedIds] = await Promise.all([
+      prisma.conversation.findUnique({
+        where: { id: conversationId },
+        include: participantInclude,
+      }),
+      blockService.getBlockRelatedIds(req.user.id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved group "${conversation.name}"`,
+      data: {
+        conversation: await formatConversation(conversation, blockedIds)
+      }
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    internalErrorResponse(res, error, 'fetching the group');
+  }
+};
+
+export const addMembers = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const validatedData = addMembersSchema.parse(req.body);
+
+    const membership = await findMembership(conversationId, req.user.id);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+        message: `No group found with ID: ${conversationId}, or you are not a member of it`,
+        suggestion: 'Please verify the conversation ID and try again'
+      });
+    }
+
+    if (membership.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only group admins can add members.'
+      });
+    }
+
+    const requestedIds = [...new Set(validatedData.memberIds)];
+
+    const users = await prisma.user.findMany({
+      where: { id: { in: requestedIds } },
+      select: { id: true },
+    });
+
+    if (users.length !== requestedIds.length) {
+      const foundIds = new Set(users.map(user => user.id));
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'One or more of the requested members do not exist.',
+        details: {
+          missingIds: requestedIds.filter(id => !foundIds.has(id))
+        },
+        suggestion: 'Please verify the member IDs and try again'
+      });
+    }
+
+    const existing = await prisma.participant.findMany({
+      where: { conversationId, userId: { in: requestedIds } },
+      select: { userId: true },
+    });
+    const existingIds = new Set(existing.map(participant => participant.userId));
+    const newMemberIds = requestedIds.filter(id => !existingIds.has(id));
+
+    const blockedMemberIds = await findBlockedMemberIds(req.user.id, newMemberIds);
+    if (blockedMemberIds.length > 0) {
+      return blockedMembersResponse(res, blockedMemberIds);
+    }
+
+    if (newMemberIds.length > 0) {
+      await prisma.participant.createMany({
+        data: newMemberIds.map(userId => ({ conversationId, userId })),
+        skipDuplicates: true,
+      });
+    }
+
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      include: participantInclude,
+    });
+    const formatted = await formatConversation(conversation);
+
+    if (newMemberIds.length > 0) {
+      socketService.joinConversation(conversationId, newMemberIds);
+      socketService.emitToConversation(conversationId, 'conversation:members_added', {
+        conversationId,
+        memberIds: newMemberIds,
+        addedBy: req.user.id,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Added ${newMemberIds.length} member(s) to "${conversation.name}"`,
+      data: {
+        conversation: formatted,
+        added: newMemberIds,
+        alreadyMembers: requestedIds.filter(id => existingIds.has(id))
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return validationErrorResponse(res, error, {
+        memberIds: ['uuid-format (required, 1-100 entries)']
+      });
+    }
+    console.error('Add members error:', error);
+    internalErrorResponse(res, error, 'adding members');
+  }
+};
+
+export const removeMember = async (req, res) => {
+  try {
+    const { conversationId, userId } = req.params;
+
+    const membership = await findMembership(conversationId, req.user.id);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+        message: `No group found with ID: ${conversationId}, or you are not a member of it`,
+        suggestion: 'Please verify the conversation ID and try again'
+      });
+    }
+
+    // Members may leave on their own; removing someone else requires admin
+    if (userId !== req.user.id && membership.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only group admins can remove other members.'
+      });
+    }
+
+    const target = await findMembership(conversationId, userId);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found',
+        message: `User ${userId} is not a member of this group.`
+      });
+    }
+
+    await prisma.participant.delete({
+      where: { id: target.id },
+    });
+
+    // Notify before leaving so the removed user's sockets receive the event too
+    socketService.emitToConversation(conversationId, 'conversation:member_removed', {
+      conversationId,
+      userId,
+      removedBy: req.user.id,
+    });
+    socketService.leaveConversation(conversationId, [userId]);
+
+    res.status(200).json({
+      success: true,
+      message: userId === req.user.id
+        ? 'You have left the group'
+        : `Removed user ${userId} from the group`,
+      data: {
+        conversationId,
+        removedUserId: userId
+      }
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    internalErrorResponse(res, error, 'removing the member');
+  }
+};
+
+export const muteConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const validatedData = muteSchema.parse(req.body || {});
+
+    const membership = await findMembership(conversationId, req.user.id);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+        message: `No group found with ID: ${conversationId}, or you are not a member of it`,
+        suggestion: 'Please verify the conversation ID and try again'
+      });
+    }
+
+    const mutedUntil = validatedData.minutes
+      ? new Date(Date.now() + validatedData.minutes * 60 * 1000)
+      : null;
+    await muteService.mute(req.user.id, { conversationId }, mutedUntil);
+
+    res.status(200).json({
+      success: true,
+      message: mutedUntil
+        ? `Group muted until ${mutedUntil.toISOString()}`
+        : 'Group muted until you unmute it',
+      data: {
+        conversationId,
+        mutedUntil
+      },
+      instructions: {
+        note: 'New messages are still delivered with message:received; only message:notification is withheld',
+        unmute: `DELETE /api/conversations/${conversationId}/mute`
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return validationErrorResponse(res, error, {
+        minutes: '60 (optional, up to 525600; omit to mute until unmuted)'
+      });
+    }
+    console.error('Mute conversation error:', error);
+    internalErrorResponse(res, error, 'muting the group');
+  }
+};
+
+export const unmuteConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    const unmuted = await muteService.unmute(req.user.id, { conversationId });
+
+    if (!unmuted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not muted',
+        message: `The group ${conversationId} is not muted`,
+        suggestion: 'Mute it with POST /api/conversations/:conversationId/mute'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Group unmuted; you will be notified of new messages again',
+      data: { conversationId }
+    });
+  } catch (error) {
+    console.error('Unmute conversation error:', error);
+    internalErrorResponse(res, error, 'unmuting the group');
+  }
+};
@@ -1,35 +1,120 @@
+import { Prisma } from '@prisma/client';
 import prisma from '../config/database.js';
-import { messageSchema, chatHistorySchema } from '../utils/validation.js';
+import socketService from '../services/socketService.js';
+import blockService, { notFromBlockRelatedSenders } from '../services/blockService.js';
+import muteService from '../services/muteService.js';
+import {
+  replyToInclude,
+  attachmentsInclude,
+  formatReplyPreview,
+  formatAttachment,
+} from '../utils/messageFormat.js';
+import {
+  messageSchema,
+  chatHistorySchema,
+  inboxSchema,
+  conversationReadSchema,
+  editMessageSchema,
+  deleteMessageSchema,
+  searchSchema,
+} from '../utils/validation.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+
+// Delivery state of a direct message, as shown by sent/delivered/read ticks
+const messageStatus = (msg) => {
+  if (msg.readAt) return 'read';
+  if (msg.deliveredAt) return 'delivered';
+  return 'sent';
+};
+
+const isTimestampCursor = (keyField) => (decoded) =>
+  typeof decoded[keyField] === 'string' && !Number.isNaN(Date.parse(decoded.at));
+
+// Search highlights are delimited with control characters by PostgreSQL, then
+// turned into <mark> tags after escaping, so message content can't inject HTML
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const toHighlightedSnippet = (headline) => escapeHtml(headline)
+  .split(HIGHLIGHT_START).join('<mark>')
+  .split(HIGHLIGHT_STOP).join('</mark>');
 
 export const getChatHistory = async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { userId, conversationId } = req.params;
+    const { limit = 50, offset = 0, before, after } = req.query;
 
     const validatedData = chatHistorySchema.parse({
       userId,
+      conversationId,
       limit: parseInt(limit),
       offset: parseInt(offset),
+      before,
+      after,
     });
 
-    // Verify the other user exists
-    const otherUser = await prisma.user.findUnique({
-      where: { id: validatedData.userId },
-      select: { id: true, username: true, email: true },
-    });
+    let otherUser = null;
+    let conversation = null;
+    let where;
 
-    if (!otherUser) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'User not found',
-        message: `No user found with ID: ${validatedData.userId}`,
-        suggestion: 'Please verify the user ID and try again'
+    if (validatedData.conversationId) {
+      // Group history is only visible to current members
+      const membership = await prisma.participant.findUnique({
+        where: {
+          conversationId_userId: {
+            conversationId: validatedData.conversationId,
+            userId: req.user.id,
+          },
+        },
+        include: {
+          conversation: {
+            select: { id: true, name: true },
+          },
+        },
       });
-    }
 
-    // Get messages between current user and the other user
-    const messages = await prisma.message.findMany({
-      where: {
+      if (!membership) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Conversation not found',
+          message: `No group found with ID: ${validatedData.conversationId}, or you are not a member of it`,
+          suggestion: 'Please verify the conversation ID and try again'
+        });
+      }
+
+      conversation = membership.conversation;
+      // Members on either side of a block with this user drop out of the group history
+      where = {
+        conversationId: validatedData.conversationId,
+        ...notFromBlockRelatedSenders(req.user.id),
+      };
+    } else {
+      // Verify the other user exists
+      otherUser = await prisma.user.findUnique({
+        where: { id: validatedData.userId },
+        select: { id: true, username: true, email: true },
+      });
+
+      if (!otherUser) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'User not found',
+          message: `No user found with ID: ${validatedData.userId}`,
+          suggestion: 'Please verify the user ID and try again'
+        });
+      }
+
+      // Messages between current user and the other user. As in search and
+      // reconnect sync, the other side's messages drop out while either of
+      // them has blocked the other
+      where = {
         OR: [
           {
             senderId: req.user.id,
@@ -40,88 +125,207 @@ export const getChatHistory = async (req, res) => {
             receiverId: req.user.id,
           },
         ],
-      },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-          },
-        },
-        receiver: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-          },
+        ...notFromBlockRelatedSenders(req.user.id),
+      };
+    }
+
+    // Messages the user deleted "for me" never show up again
+    where = { AND: [where, { hiddenFor: { none: { userId: req.user.id } } }] };
+
+    const include = {
+      sender: {
+        select: {
+          id: true,
+          username: true,
+          email: true,
         },
       },
-      orderBy: {
-        createdAt: 'desc',
+      receiver: {
+        select: {
+          id: true,
+          username: true,
+          email: true,
+        },
       },
-      take: validatedData.limit,
-      skip: validatedData.offset,
-    });
+      ...replyToInclude,
+      ...attachmentsInclude,
+    };
 
-    // Get total count for pagination
-    const totalCount = await prisma.message.count({
-      where: {
-        OR: [
-          {
-            senderId: req.user.id,
-            receiverId: validatedData.userId,
-          },
-          {
-            senderId: validatedData.userId,
-            receiverId: req.user.id,
-          },
+    const anchorId = validatedData.before || validatedData.after;
+    let messages;
+    let pagination;
+    let nextPage;
+
+    if (anchorId) {
+      // Cursor mode: page relative to an anchor message, keyed on (createdAt, id)
+      // so pages stay stable while new messages arrive
+      const anchor = await prisma.message.findFirst({
+        where: { AND: [where, { id: anchorId }] },
+        select: { id: true, createdAt: true },
+      });
+
+      if (!anchor) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Message not found',
+          message: `No message with ID ${anchorId} exists in this chat`,
+          suggestion: 'Use a message ID returned by a previous history request'
+        });
+      }
+
+      const isBefore = Boolean(validatedData.before);
+      const direction = isBefore ? 'lt' : 'gt';
+      const order = isBefore ? 'desc' : 'asc';
+
+      const page = await prisma.message.findMany({
+        where: {
+          AND: [
+            where,
+            {
+              OR: [
+                { createdAt: { [direction]: anchor.createdAt } },
+                { createdAt: anchor.createdAt, id: { [direction]: anchor.id } },
+              ],
+            },
+          ],
+        },
+        include,
+        orderBy: [
+          { createdAt: order },
+          { id: order },
         ],
-      },
-    });
+        take: validatedData.limit + 1,
+      });
+
+      const hasMore = page.length > validatedData.limit;
+      messages = page.slice(0, validatedData.limit);
+      if (isBefore) messages.reverse(); // Reverse to show oldest first
+
+      const oldest = messages[0];
+      const newest = messages[messages.length - 1];
+
+      pagination = {
+        mode: 'cursor',
+        limit: validatedData.limit,
+        hasOlder: isBefore ? hasMore : true,
+        hasNewer: isBefore ? true : hasMore,
+        cursors: {
+          before: oldest ? oldest.id : anchor.id,
+          after: newest ? newest.id : anchor.id
+        }
+      };
+      nextPage = isBefore
+        ? (hasMore ? `Use before=${pagination.cursors.before} to get older messages` : 'No older messages available')
+        : (hasMore ? `Use after=${pagination.cursors.after} to get newer messages` : 'No newer messages available');
+    } else {
+      // Offset mode, kept for existing clients
+      const page = await prisma.message.findMany({
+        where,
+        include,
+        orderBy: [
+          { createdAt: 'desc' },
+          { id: 'desc' },
+        ],
+        take: validatedData.limit,
+        skip: validatedData.offset,
+      });
+
+      // Get total count for pagination
+      const totalCount = await prisma.message.count({ where });
 
-    const reversedMessages = messages.reverse(); // Reverse to show oldest first
+      messages = page.reverse(); // Reverse to show oldest first
+
+      const hasMore = totalCount > validatedData.offset + validatedData.limit;
+      pagination = {
+        mode: 'offset',
+        total: totalCount,
+        limit: validatedData.limit,
+        offset: validatedData.offset,
+        hasMore,
+        totalPages: Math.ceil(totalCount / validatedData.limit),
+        currentPage: Math.floor(validatedData.offset / validatedData.limit) + 1,
+        cursors: {
+          before: messages.length > 0 ? messages[0].id : null,
+          after: messages.length > 0 ? messages[messages.length - 1].id : null
+        }
+      };
+      nextPage = hasMore 
+        ? `Use offset=${validatedData.offset + validatedData.limit} or before=${pagination.cursors.before} to get next page`
+        : 'No more messages available';
+    }
+
+    // Aggregate reactions for the whole page in two queries
+    const pageIds = messages.map(msg => msg.id);
+    const [reactionCounts, myReactions] = await Promise.all([
+      prisma.reaction.groupBy({
+        by: ['messageId', 'emoji'],
+        where: { messageId: { in: pageIds } },
+        _count: { _all: true },
+        orderBy: { _min: { createdAt: 'asc' } },
+      }),
+      prisma.reaction.findMany({
+        where: { messageId: { in: pageIds }, userId: req.user.id },
+        select: { messageId: true, emoji: true },
+      }),
+    ]);
+    const mine = new Set(myReactions.map(r => `${r.messageId}:${r.emoji}`));
+    const reactionsByMessage = new Map();
+    reactionCounts.forEach(row => {
+      if (!reactionsByMessage.has(row.messageId)) {
+        reactionsByMessage.set(row.messageId, []);
+      }
+      reactionsByMessage.get(row.messageId).push({
+        emoji: row.emoji,
+        count: row._count._all,
+        reactedByMe: mine.has(`${row.messageId}:${row.emoji}`)
+      });
+    });
 
     res.status(200).json({
       success: true,
-      message: `Retrieved ${reversedMessages.length} message(s) from chat with ${otherUser.username}`,
+      message: conversation
+        ? `Retrieved ${messages.length} message(s) from group ${conversation.name}`
+        : `Retrieved ${messages.length} message(s) from chat with ${otherUser.username}`,
       data: {
-        messages: reversedMessages.map(msg => ({
+        messages: messages.map(msg => ({
           id: msg.id,
-          content: msg.content,
+          content: msg.deletedAt ? null : msg.content,
           sender: {
             id: msg.sender.id,
             username: msg.sender.username,
             email: msg.sender.email
           },
-          receiver: {
+          receiver: msg.receiver && {
             id: msg.receiver.id,
             username: msg.receiver.username,
             email: msg.receiver.email
           },
+          conversationId: msg.conversationId,
+          replyTo: formatReplyPreview(msg.replyTo),
+          attachments: msg.attachments.map(formatAttachment),
           read: msg.read,
+          status: messageStatus(msg),
+          deliveredAt: msg.deliveredAt,
+          readAt: msg.readAt,
+          edited: Boolean(msg.editedAt),
+          editedAt: msg.editedAt,
+          deleted: Boolean(msg.deletedAt),
+          deletedAt: msg.deletedAt,
+          reactions: reactionsByMessage.get(msg.id) || [],
           createdAt: msg.createdAt,
           isFromCurrentUser: msg.senderId === req.user.id
         })),
-        chatWith: {
+        chatWith: otherUser && {
           id: otherUser.id,
           username: otherUser.username,
           email: otherUser.email
         },
-        pagination: {
-          total: totalCount,
-          limit: validatedData.limit,
-          offset: validatedData.offset,
-          hasMore: totalCount > validatedData.offset + validatedData.limit,
-          totalPages: Math.ceil(totalCount / validatedData.limit),
-          currentPage: Math.floor(validatedData.offset / validatedData.limit) + 1
-        }
+        conversation,
+        pagination
       },
       instructions: {
         note: 'Messages are ordered from oldest to newest',
-        nextPage: totalCount > validatedData.offset + validatedData.limit 
-          ? `Use offset=${validatedData.offset + validatedData.limit} to get next page`
-          : 'No more messages available',
+        nextPage,
         realTimeMessaging: 'Use Socket.IO to send/receive messages in real-time'
       }
     });
@@ -137,9 +341,12 @@ export const getChatHistory = async (req, res) => {
           received: err.input
         })),
         example: {
-          userId: 'uuid-format (required)',
+          userId: 'uuid-format (required unless conversationId is given)',
+          conversationId: 'uuid-format (group history only)',
           limit: '1-100 (optional, default: 50)',
-          offset: '0 or greater (optional, default: 0)'
+          offset: '0 or greater (optional, default: 0)',
+          before: 'message uuid (optional) - messages older than this one',
+          after: 'message uuid (optional) - messages newer than this one'
         }
       });
     }
@@ -153,4 +360,626 @@ export const getChatHistory = async (req, res) => {
   }
 };
 
+export const getConversations = async (req, res) => {
+  try {
+    const { limit = 20, cursor } = req.query;
+
+    const validatedData = inboxSchema.parse({
+      limit: parseInt(limit),
+      cursor,
+    });
+
+    let cursorFilter = Prisma.empty;
+    if (validatedData.cursor) {
+      const decoded = decodeCursor(validatedData.cursor, isTimestampCursor('key'));
+      if (!decoded) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+          message: 'The provided cursor is malformed or has expired.',
+          suggestion: 'Use the nextCursor value returned by a previous request, or omit it to start from the top'
+        });
+      }
+      cursorFilter = Prisma.sql`WHERE ("lastActivityAt", "threadKey") < (${decoded.at}::timestamp(3), ${decoded.key})`;
+    }
+
+    const me = req.user.id;
+
+    // One row per direct counterpart and per group, keyed by latest activity.
+    // Fetch one extra row to know whether another page exists.
+    const threads = await prisma.$queryRaw`
+      SELECT * FROM (
+        SELECT
+          'user:' || direct."counterpartId" AS "threadKey",
+          'direct' AS "type",
+          direct."counterpartId" AS "targetId",
+          direct."messageId" AS "lastMessageId",
+          direct."createdAt" AS "lastActivityAt"
+        FROM (
+          SELECT DISTINCT ON ("counterpartId")
+            CASE WHEN m."senderId" = ${me} THEN m."receiverId" ELSE m."senderId" END AS "counterpartId",
+            m."id" AS "messageId",
+            m."createdAt"
+          FROM "messages" m
+          WHERE m."conversationId" IS NULL
+            AND (m."senderId" = ${me} OR m."receiverId" = ${me})
+            AND NOT EXISTS (
+              SELECT 1 FROM "hidden_messages" h WHERE h."messageId" = m."id" AND h."userId" = ${me}
+            )
+            -- Matches direct history, which hides the other side's messages across a block
+            AND NOT EXISTS (
+              SELECT 1 FROM "blocks" b
+              WHERE (b."blockerId" = ${me} AND b."blockedId" = m."senderId")
+                 OR (b."blockerId" = m."senderId" AND b."blockedId" = ${me})
+            )
+          ORDER BY "counterpartId", m."createdAt" DESC, m."id" DESC
+        ) direct
+        -- Chats still waiting for this user to accept them are listed under requests
+        WHERE NOT EXISTS (
+          SELECT 1 FROM "message_requests" r
+          WHERE r."senderId" = direct."counterpartId" AND r."receiverId" = ${me} AND r."status" <> 'accepted'
+        )
+        UNION ALL
+        SELECT
+          'group:' || p."conversationId" AS "threadKey",
+          'group' AS "type",
+          p."conversationId" AS "targetId",
+          latest."id" AS "lastMessageId",
+          COALESCE(latest."createdAt", c."createdAt") AS "lastActivityAt"
+        FROM "participants" p
+        JOIN "conversations" c ON c."id" = p."conversationId"
+        LEFT JOIN LATERAL (
+          SELECT m."id", m."createdAt"
+          FROM "messages" m
+          WHERE m."conversationId" = p."conversationId"
+            AND NOT EXISTS (
+              SELECT 1 FROM "hidden_messages" h WHERE h."messageId" = m."id" AND h."userId" = ${me}
+            )
+            AND NOT EXISTS (
+              SELECT 1 FROM "blocks" b
+              WHERE (b."blockerId" = ${me} AND b."blockedId" = m."senderId")
+                 OR (b."blockerId" = m."senderId" AND b."blockedId" = ${me})
+            )
+          ORDER BY m."createdAt" DESC, m."id" DESC
+          LIMIT 1
+        ) latest ON true
+        WHERE p."userId" = ${me}
+      ) threads
+      ${cursorFilter}
+      ORDER BY "lastActivityAt" DESC, "threadKey" DESC
+      LIMIT ${validatedData.limit + 1}
+    `;
+
+    const hasMore = threads.length > validatedData.limit;
+    const page = threads.slice(0, validatedData.limit);
+
+    const counterpartIds = page.filter(t => t.type === 'direct').map(t => t.targetId);
+    const conversationIds = page.filter(t => t.type === 'group').map(t => t.targetId);
+    const lastMessageIds = page.map(t => t.lastMessageId).filter(Boolean);
+
+    const [counterparts, conversations, lastMessages, unreadCounts, mutes, blockedIds] = await Promise.all([
+      prisma.user.findMany({
+        where: { id: { in: counterpartIds } },
+        select: { id: true, username: true, email: true },
+      }),
+      prisma.conversation.findMany({
+        where: { id: { in: conversationIds } },
+        select: { id: true, name: true },
+      }),
+      prisma.message.findMany({
+        where: { id: { in: lastMessageIds } },
+        include: {
+          sender: {
+            select: {
+              id: true,
+              username: true,
+            },
+          },
+        },
+      }),
+      prisma.message.groupBy({
+        by: ['senderId'],
+        where: {
+          receiverId: me,
+          senderId: { in: counterpartIds },
+          read: false,
+          deletedAt: null,
+          hiddenFor: { none: { userId: me } },
+          ...notFromBlockRelatedSenders(me),
+        },
+        _count: { _all: true },
+      }),
+      muteService.getActiveMutes(me),
+      blockService.getBlockRelatedIds(me),
+    ]);
+
+    const usersById = new Map(counterparts.map(user => [user.id, user]));
+    const conversationsById = new Map(conversations.map(conversation => [conversation.id, conversation]));
+    const messagesById = new Map(lastMessages.map(msg => [msg.id, msg]));
+    const unreadBySender = new Map(unreadCounts.map(row => [row.senderId, row._count._all]));
+
+    const items = page.map(thread => {
+      const lastMessage = thread.lastMessageId ? messagesById.get(thread.lastMessageId) : null;
+      return {
+        type: thread.type,
+        ...(thread.type === 'direct'
+          ? { counterpart: usersById.get(thread.targetId) || { id: thread.targetId } }
+          : { conversation: conversationsById.get(thread.targetId) || { id: thread.targetId } }),
+        lastMessage: lastMessage && {
+          id: lastMessage.id,
+          content: lastMessage.deletedAt ? null : lastMessage.content,
+          deleted: Boolean(lastMessage.deletedAt),
+          sender: lastMessage.sender,
+          read: lastMessage.read,
+          status: messageStatus(lastMessage),
+          createdAt: lastMessage.createdAt,
+          isFromCurrentUser: lastMessage.senderId === me
+        },
+        // Read state is tracked per receiver, so only direct threads have unread counts
+        unreadCount: thread.type === 'direct' ? (unreadBySender.get(thread.targetId) || 0) : null,
+        muted: thread.type === 'direct'
+          ? mutes.peerIds.has(thread.targetId)
+          : mutes.conversationIds.has(thread.targetId),
+        ...(thread.type === 'direct' && { blocked: blockedIds.has(thread.targetId) }),
+        lastActivityAt: thread.lastActivityAt
+      };
+    });
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor({ at: last.lastActivityAt.toISOString(), key: last.threadKey })
+      : null;
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${items.length} conversation(s)`,
+      data: {
+        conversations: items,
+        pagination: {
+          limit: validatedData.limit,
+          hasMore,
+          nextCursor
+        }
+      },
+      instructions: {
+        note: 'Conversations are ordered by most recent activity first',
+        nextPage: hasMore
+          ? `Use cursor=${nextCursor} to get the next page`
+          : 'No more conversations available'
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your request parameters. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message,
+          received: err.input
+        })),
+        example: {
+          limit: '1-50 (optional, default: 20)',
+          cursor: 'nextCursor from a previous response (optional)'
+        }
+      });
+    }
+    console.error('Get conversations error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while fetching conversations. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const markChatRead = async (req, res) => {
+  try {
+    const validatedData = conversationReadSchema.parse({
+      userId: req.params.userId,
+      upToMessageId: req.body.upToMessageId,
+    });
+
+    const result = await socketService.markConversationRead(
+      req.user.id,
+      validatedData.userId,
+      validatedData.upToMessageId
+    );
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Message not found',
+        message: `No message with ID ${validatedData.upToMessageId} exists in your chat with this user`,
+        suggestion: 'Omit upToMessageId to mark the whole chat as read'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Marked ${result.count} message(s) as read`,
+      data: result
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your request data. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message,
+          received: err.input
+        })),
+        example: {
+          userId: 'uuid-format (required, in the URL)',
+          upToMessageId: 'uuid-format (optional, defaults to the latest message)'
+        }
+      });
+    }
+    console.error('Mark chat read error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while marking messages as read. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const editMessage = async (req, res) => {
+  try {
+    const validatedData = editMessageSchema.parse({
+      messageId: req.params.messageId,
+      content: req.body.content,
+    });
+
+    const message = await socketService.editMessage(
+      req.user.id,
+      validatedData.messageId,
+      validatedData.content
+    );
+
+    if (!message) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Message not found',
+        message: `No message with ID ${validatedData.messageId} was sent by you`,
+        suggestion: 'Only the sender of a message can edit it'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Message updated successfully',
+      data: {
+        message: {
+          id: message.id,
+          content: message.content,
+          senderId: message.senderId,
+          receiverId: message.receiverId,
+          conversationId: message.conversationId,
+          edited: Boolean(message.editedAt),
+          editedAt: message.editedAt,
+          createdAt: message.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your request data. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message,
+          received: err.input
+        })),
+        example: {
+          content: 'Updated message text (1-1000 characters, required)'
+        }
+      });
+    }
+    console.error('Edit message error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while editing the message. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const getMessageRevisions = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await socketService.findVisibleMessage(messageId, req.user.id);
+
+    if (!message) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Message not found',
+        message: `No message found with ID: ${messageId}`,
+        suggestion: 'Please verify the message ID and try again'
+      });
+    }
+
+    const revisions = await prisma.messageRevision.findMany({
+      where: { messageId },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${revisions.length} previous version(s) of the message`,
+      data: {
+        messageId,
+        currentContent: message.deletedAt ? null : message.content,
+        editedAt: message.editedAt,
+        revisions: revisions.map(revision => ({
+          id: revision.id,
+          content: revision.content,
+          replacedAt: revision.createdAt
+        }))
+      },
+      instructions: {
+        note: 'Revisions are ordered from oldest to newest; each one was replaced at replacedAt'
+      }
+    });
+  } catch (error) {
+    console.error('Get message revisions error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while fetching the edit history. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const deleteMessage = async (req, res) => {
+  try {
+    const validatedData = deleteMessageSchema.parse({
+      messageId: req.params.messageId,
+      scope: req.query.scope,
+    });
+
+    const result = await socketService.deleteMessage(
+      req.user.id,
+      validatedData.messageId,
+      validatedData.scope
+    );
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Message not found',
+        message: `No message found with ID: ${validatedData.messageId}`,
+        suggestion: 'Please verify the message ID and try again'
+      });
+    }
+
+    if (result.error) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Forbidden',
+        message: result.error,
+        suggestion: 'Use scope=me to remove the message from your own view instead'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: validatedData.scope === 'everyone'
+        ? 'Message deleted for everyone'
+        : 'Message deleted for you',
+      data: result
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your request parameters. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message,
+          received: err.input
+        })),
+        example: {
+          scope: 'me | everyone (optional query param, default: me)'
+        }
+      });
+    }
+    console.error('Delete message error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while deleting the message. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const searchMessages = async (req, res) => {
+  try {
+    const { q, with: withUserId, conversationId, from, to, limit = 20, cursor } = req.query;
+
+    const validatedData = searchSchema.parse({
+      q,
+      with: withUserId,
+      conversationId,
+      from,
+      to,
+      limit: parseInt(limit),
+      cursor,
+    });
+
+    const me = req.user.id;
+    const filters = [];
+
+    if (validatedData.with) {
+      filters.push(Prisma.sql`AND m."conversationId" IS NULL AND (
+        (m."senderId" = ${me} AND m."receiverId" = ${validatedData.with}) OR
+        (m."senderId" = ${validatedData.with} AND m."receiverId" = ${me})
+      )`);
+    }
+    if (validatedData.conversationId) {
+      filters.push(Prisma.sql`AND m."conversationId" = ${validatedData.conversationId}`);
+    }
+    if (validatedData.from) {
+      filters.push(Prisma.sql`AND m."createdAt" >= ${validatedData.from.toISOString()}::timestamp(3)`);
+    }
+    if (validatedData.to) {
+      filters.push(Prisma.sql`AND m."createdAt" <= ${validatedData.to.toISOString()}::timestamp(3)`);
+    }
+    if (validatedData.cursor) {
+      const decoded = decodeCursor(validatedData.cursor, isTimestampCursor('id'));
+      if (!decoded) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+          message: 'The provided cursor is malformed or has expired.',
+          suggestion: 'Use the nextCursor value returned by a previous request, or omit it to start from the newest results'
+        });
+      }
+      filters.push(Prisma.sql`AND (m."createdAt", m."id") < (${decoded.at}::timestamp(3), ${decoded.id})`);
+    }
+
+    const headlineOptions = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "`;
+
+    // Newest matches first, restricted to chats the caller is part of; group
+    // messages only while they are still a member, even ones they sent. Uses the
+    // GIN index on "searchVector"; one extra row tells whether there's another page.
+    const matches = await prisma.$queryRaw`
+      SELECT
+        m."id",
+        m."createdAt",
+        ts_headline('english', m."content", query, ${headlineOptions}) AS "headline"
+      FROM "messages" m, websearch_to_tsquery('english', ${validatedData.q}) query
+      WHERE m."searchVector" @@ query
+        AND m."deletedAt" IS NULL
+        AND (
+          (m."conversationId" IS NULL AND (m."senderId" = ${me} OR m."receiverId" = ${me}))
+          OR m."conversationId" IN (SELECT p."conversationId" FROM "participants" p WHERE p."userId" = ${me})
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM "hidden_messages" h WHERE h."messageId" = m."id" AND h."userId" = ${me}
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM "blocks" b
+          WHERE (b."blockerId" = ${me} AND b."blockedId" = m."senderId")
+             OR (b."blockerId" = m."senderId" AND b."blockedId" = ${me})
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM "message_requests" r
+          WHERE m."conversationId" IS NULL AND r."senderId" = m."senderId" AND r."receiverId" = ${me}
+            AND r."status" <> 'accepted'
+        )
+        ${filters.length > 0 ? Prisma.join(filters, ' ') : Prisma.empty}
+      ORDER BY m."createdAt" DESC, m."id" DESC
+      LIMIT ${validatedData.limit + 1}
+    `;
+
+    const hasMore = matches.length > validatedData.limit;
+    const page = matches.slice(0, validatedData.limit);
+
+    const messages = await prisma.message.findMany({
+      where: { id: { in: page.map(match => match.id) } },
+      include: {
+        sender: {
+          select: {
+            id: true,
+            username: true,
+          },
+        },
+        receiver: {
+          select: {
+            id: true,
+            username: true,
+          },
+        },
+        conversation: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+    });
+    const messagesById = new Map(messages.map(msg => [msg.id, msg]));
+
+    const results = page
+      .filter(match => messagesById.has(match.id))
+      .map(match => {
+        const msg = messagesById.get(match.id);
+        return {
+          id: msg.id,
+          snippet: toHighlightedSnippet(match.headline),
+          content: msg.content,
+          sender: msg.sender,
+          receiver: msg.receiver,
+          conversation: msg.conversation,
+          createdAt: msg.createdAt,
+          isFromCurrentUser: msg.senderId === me
+        };
+      });
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore ? encodeCursor({ at: last.createdAt.toISOString(), id: last.id }) : null;
+
+    res.status(200).json({
+      success: true,
+      message: `Found ${results.length} message(s) matching "${validatedData.q}"`,
+      data: {
+        results,
+        pagination: {
+          limit: validatedData.limit,
+          hasMore,
+          nextCursor
+        }
+      },
+      instructions: {
+        note: 'Results are ordered from newest to oldest; matched words are wrapped in <mark> in snippet',
+        nextPage: hasMore
+          ? `Use cursor=${nextCursor} to get more results`
+          : 'No more results available',
+        jumpToMessage: 'Use GET /api/messages/history/:userId?after=<id> (or before) to open the chat around a result'
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your request parameters. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message,
+          received: err.input
+        })),
+        example: {
+          q: 'search words (1-200 characters, required; supports "quoted phrases", OR and -exclusions)',
+          with: 'user uuid (optional) - only your direct chat with this user',
+          conversationId: 'group uuid (optional) - only this group',
+          from: 'ISO date (optional)',
+          to: 'ISO date (optional)',
+          limit: '1-50 (optional, default: 20)',
+          cursor: 'nextCursor from a previous response (optional)'
+        }
+      });
+    }
+    console.error('Search messages error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while searching messages. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
 
@@ -0,0 +1,198 @@
+import prisma from '../config/database.js';
+import socketService from '../services/socketService.js';
+import messageRequestService from '../services/messageRequestService.js';
+import { inboxSchema } from '../utils/validation.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { formatPublicProfile, publicUserSelect } from '../utils/userFormat.js';
+import { internalErrorResponse } from '../utils/errorResponses.js';
+
+const PREVIEW_LENGTH = 100;
+
+const requestNotFoundResponse = (res, requestId) => res.status(404).json({
+  success: false,
+  error: 'Message request not found',
+  message: `No pending message request with ID ${requestId} was sent to you`,
+  suggestion: 'List your pending requests at GET /api/messages/requests'
+});
+
+export const getMessageRequests = async (req, res) => {
+  try {
+    const { limit = 20, cursor } = req.query;
+
+    const validatedData = inboxSchema.parse({
+      limit: parseInt(limit),
+      cursor,
+    });
+
+    let after = null;
+    if (validatedData.cursor) {
+      after = decodeCursor(validatedData.cursor, decoded =>
+        typeof decoded.id === 'string' && !Number.isNaN(Date.parse(decoded.at)));
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+          message: 'The provided cursor is malformed.',
+          suggestion: 'Use the nextCursor value returned by a previous request, or omit it to start from the newest requests'
+        });
+      }
+    }
+
+    const me = req.user.id;
+    const requests = await messageRequestService.listPending(me, {
+      limit: validatedData.limit,
+      after,
+      senderSelect: publicUserSelect,
+    });
+
+    const hasMore = requests.length > validatedData.limit;
+    const page = requests.slice(0, validatedData.limit);
+    const senderIds = page.map(request => request.senderId);
+
+    // Everything a requester has sent so far is held with the request
+    const heldWhere = {
+      senderId: { in: senderIds },
+      receiverId: me,
+      conversationId: null,
+      hiddenFor: { none: { userId: me } },
+    };
+    const [latestMessages, counts] = await Promise.all([
+      prisma.message.findMany({
+        where: heldWhere,
+        distinct: ['senderId'],
+        orderBy: [
+          { senderId: 'asc' },
+          { createdAt: 'desc' },
+        ],
+        select: { id: true, senderId: true, content: true, deletedAt: true, createdAt: true },
+      }),
+      prisma.message.groupBy({
+        by: ['senderId'],
+        where: heldWhere,
+        _count: { _all: true },
+      }),
+    ]);
+
+    const online = await socketService.getOnlineStatus(senderIds);
+
+    const latestBySender = new Map(latestMessages.map(msg => [msg.senderId, msg]));
+    const countBySender = new Map(counts.map(row => [row.senderId, row._count._all]));
+
+    const items = page.map(request => {
+      const latest = latestBySender.get(request.senderId);
+      const content = latest && !latest.deletedAt ? latest.content : null;
+      return {
+        id: request.id,
+        sender: {
+          ...formatPublicProfile(request.sender),
+          online: online[request.senderId]
+        },
+        messageCount: countBySender.get(request.senderId) || 0,
+        lastMessage: latest && {
+          id: latest.id,
+          preview: content && content.length > PREVIEW_LENGTH
+            ? `${content.slice(0, PREVIEW_LENGTH)}…`
+            : content,
+          createdAt: latest.createdAt
+        },
+        createdAt: request.createdAt
+      };
+    });
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor({ at: last.createdAt.toISOString(), id: last.id })
+      : null;
+
+    res.status(200).json({
+      success: true,
+      message: `You have ${items.length} pending message request(s)`,
+      data: {
+        requests: items,
+        pagination: {
+          limit: validatedData.limit,
+          hasMore,
+          nextCursor
+        }
+      },
+      instructions: {
+        read: 'GET /api/messages/history/:userId shows the held messages without accepting',
+        accept: 'POST /api/messages/requests/:requestId/accept',
+        decline: 'POST /api/messages/requests/:requestId/decline',
+        nextPage: hasMore
+          ? `Use cursor=${nextCursor} to get older requests`
+          : 'No more requests available'
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your query parameters. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        })),
+        example: {
+          limit: '20 (optional, max 50)',
+          cursor: 'nextCursor from the previous page (optional)'
+        }
+      });
+    }
+    console.error('Get message requests error:', error);
+    internalErrorResponse(res, error, 'fetching message requests');
+  }
+};
+
+export const acceptMessageRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const request = await messageRequestService.respond(requestId, req.user.id, true);
+
+    if (!request) {
+      return requestNotFoundResponse(res, requestId);
+    }
+
+    socketService.emitRequestAccepted(request);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message request accepted; the chat is now in your inbox',
+      data: { request },
+      instructions: {
+        history: `GET /api/messages/history/${request.senderId}`
+      }
+    });
+  } catch (error) {
+    console.error('Accept message request error:', error);
+    internalErrorResponse(res, error, 'accepting the message request');
+  }
+};
+
+export const declineMessageRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const request = await messageRequestService.respond(requestId, req.user.id, false);
+
+    if (!request) {
+      return requestNotFoundResponse(res, requestId);
+    }
+
+    // No event goes to the sender; they only find out if they write again
+    res.status(200).json({
+      success: true,
+      message: 'Message request declined; its messages were removed from your view',
+      data: { request },
+      instructions: {
+        note: 'Messaging this user yourself reopens the chat',
+        block: `POST /api/users/${request.senderId}/block`
+      }
+    });
+  } catch (error) {
+    console.error('Decline message request error:', error);
+    internalErrorResponse(res, error, 'declining the message request');
+  }
+};
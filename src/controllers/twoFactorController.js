@@ -0,0 +1,165 @@
+import bcrypt from 'bcryptjs';
+import prisma from '../config/database.js';
+import twoFactorService from '../services/twoFactorService.js';
+import { twoFactorCodeSchema, disableTwoFactorSchema } from '../utils/validation.js';
+import { internalErrorResponse, validationErrorResponse } from '../utils/errorResponses.js';
+
+const invalidCodeResponse = (res) => res.status(400).json({
+  success: false,
+  error: 'Invalid code',
+  message: 'The code is wrong, expired or was already used.',
+  suggestion: 'Enter the current code shown in your authenticator app and check that your device clock is correct'
+});
+
+const findUser = (userId) => prisma.user.findUnique({ where: { id: userId } });
+
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findUser(req.user.id);
+
+    if (user.twoFactorEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication already enabled',
+        message: 'Disable it first at POST /api/auth/2fa/disable to enroll a new authenticator.'
+      });
+    }
+
+    const enrollment = await twoFactorService.beginEnrollment(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the otpauth URI (as a QR code) or enter the secret in your authenticator app',
+      data: enrollment,
+      instructions: {
+        nextStep: 'Confirm with the first code from the app at POST /api/auth/2fa/enable with { code }'
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    internalErrorResponse(res, error, 'starting two-factor setup');
+  }
+};
+
+const ENABLE_ERRORS = {
+  not_enrolled: {
+    status: 400,
+    error: 'Two-factor setup not started',
+    message: 'Start with POST /api/auth/2fa/setup to get a secret for your authenticator app.'
+  },
+  already_enabled: {
+    status: 409,
+    error: 'Two-factor authentication already enabled',
+    message: 'Two-factor authentication is already on for this account.'
+  },
+};
+
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(req.body);
+
+    const result = await twoFactorService.enable(req.user.id, code);
+
+    if (result.error === 'invalid_code') {
+      return invalidCodeResponse(res);
+    }
+    if (result.error) {
+      const { status, ...body } = ENABLE_ERRORS[result.error];
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes: result.recoveryCodes
+      },
+      instructions: {
+        note: 'Store these recovery codes somewhere safe. Each works once, and they will not be shown again.',
+        login: 'Logins now return an mfaToken; finish them at POST /api/auth/login/2fa'
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return validationErrorResponse(res, error, { code: '123456 (from your authenticator app)' });
+    }
+    console.error('2FA enable error:', error);
+    internalErrorResponse(res, error, 'enabling two-factor authentication');
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = disableTwoFactorSchema.parse(req.body);
+    const user = await findUser(req.user.id);
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication not enabled',
+        message: 'There is nothing to disable on this account.'
+      });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication failed',
+        message: 'The password is incorrect.'
+      });
+    }
+
+    if (!(await twoFactorService.verifyTotp(user, code))) {
+      return invalidCodeResponse(res);
+    }
+
+    await twoFactorService.disable(user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled; your recovery codes no longer work'
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return validationErrorResponse(res, error, {
+        password: 'your current password',
+        code: '123456 (from your authenticator app)'
+      });
+    }
+    console.error('2FA disable error:', error);
+    internalErrorResponse(res, error, 'disabling two-factor authentication');
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(req.body);
+    const user = await findUser(req.user.id);
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication not enabled',
+        message: 'Enable two-factor authentication first at POST /api/auth/2fa/setup.'
+      });
+    }
+
+    if (!(await twoFactorService.verifyTotp(user, code))) {
+      return invalidCodeResponse(res);
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return validationErrorResponse(res, error, { code: '123456 (from your authenticator app)' });
+    }
+    console.error('Recovery codes error:', error);
+    internalErrorResponse(res, error, 'generating recovery codes');
+  }
+};
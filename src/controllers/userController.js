@@ -0,0 +1,516 @@
+import bcrypt from 'bcryptjs';
+import prisma from '../config/database.js';
+import socketService from '../services/socketService.js';
+import sessionService from '../services/sessionService.js';
+import blockService from '../services/blockService.js';
+import muteService from '../services/muteService.js';
+import { updateProfileSchema, userSearchSchema, muteSchema } from '../utils/validation.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { formatAvatar, formatPublicProfile, publicUserSelect } from '../utils/userFormat.js';
+
+// The signed-in user's own view of their account
+const formatOwnProfile = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  emailVerified: Boolean(user.emailVerifiedAt),
+  displayName: user.displayName || user.username,
+  bio: user.bio,
+  avatar: formatAvatar(user),
+  twoFactorEnabled: Boolean(user.twoFactorEnabledAt),
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+const userNotFoundResponse = (res, userId) => res.status(404).json({
+  success: false,
+  error: 'User not found',
+  message: `No user found with ID: ${userId}`,
+  suggestion: 'Please verify the user ID and try again'
+});
+
+// Target of a block or mute: an existing user other than the caller
+const findOtherUser = async (req, res, action) => {
+  const { userId } = req.params;
+
+  if (userId === req.user.id) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid user',
+      message: `You cannot ${action} yourself`
+    });
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: publicUserSelect,
+  });
+
+  if (!user) {
+    userNotFoundResponse(res, userId);
+    return null;
+  }
+  return user;
+};
+
+export const getMe = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Retrieved your profile',
+      data: {
+        user: formatOwnProfile(user)
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while fetching your profile. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const updateMe = async (req, res) => {
+  try {
+    const validatedData = updateProfileSchema.parse(req.body);
+    const userId = req.user.id;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    const data = {};
+    if (validatedData.displayName !== undefined) data.displayName = validatedData.displayName;
+    if (validatedData.bio !== undefined) data.bio = validatedData.bio || null;
+
+    // Setting one kind of avatar replaces the other; null on either clears it
+    if (validatedData.avatarUrl !== undefined) {
+      data.avatarUrl = validatedData.avatarUrl;
+      if (validatedData.avatarUrl) data.avatarAttachmentId = null;
+    }
+    if (validatedData.avatarAttachmentId !== undefined) {
+      data.avatarAttachmentId = validatedData.avatarAttachmentId;
+      if (validatedData.avatarAttachmentId) data.avatarUrl = null;
+    }
+
+    if (validatedData.avatarAttachmentId) {
+      // Must be an unsent image uploaded by this user at POST /api/attachments
+      const attachment = await prisma.attachment.findFirst({
+        where: {
+          id: validatedData.avatarAttachmentId,
+          uploaderId: userId,
+          messageId: null,
+          width: { not: null }, // Only set for verified images
+        },
+      });
+
+      if (!attachment) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid avatar',
+          message: 'The avatar must be an image you uploaded at POST /api/attachments and have not sent in a message.',
+          suggestion: 'Upload a JPEG, PNG, GIF or WebP image and use the returned attachment ID'
+        });
+      }
+    }
+
+    const changingPassword = Boolean(validatedData.newPassword);
+    if (changingPassword) {
+      const isValidPassword = await bcrypt.compare(validatedData.currentPassword, user.password);
+
+      if (!isValidPassword) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication failed',
+          message: 'The current password is incorrect. Your profile was not changed.',
+          suggestion: 'Forgot it? Reset it at POST /api/auth/forgot-password'
+        });
+      }
+
+      data.password = await bcrypt.hash(validatedData.newPassword, 10);
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: userId },
+      data,
+    });
+
+    // Other devices signed in with the old password are signed out
+    const revokedSessions = changingPassword
+      ? await sessionService.revokeAllForUser(userId, 'password_changed', req.sessionId)
+      : 0;
+
+    const profileChanged = Object.keys(data).some(field => field !== 'password');
+    if (profileChanged) {
+      const profile = formatPublicProfile(updated);
+      socketService.emitToUser(userId, 'user:updated', profile);
+      socketService.emitToContacts(userId, 'user:updated', profile).catch(error => {
+        console.error('Profile update broadcast error:', error);
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: changingPassword
+        ? `Profile updated; password changed and ${revokedSessions} other session(s) signed out`
+        : 'Profile updated',
+      data: {
+        user: formatOwnProfile(updated),
+        ...(changingPassword && { passwordChanged: true, revokedSessions })
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your request data. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        })),
+        example: {
+          displayName: 'John Doe (1-50 characters, null to clear)',
+          bio: 'Hello there! (up to 300 characters, null to clear)',
+          avatarUrl: 'https://example.com/me.png (or avatarAttachmentId from POST /api/attachments)',
+          currentPassword: 'required with newPassword',
+          newPassword: 'newpassword123 (minimum 6 characters)'
+        }
+      });
+    }
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while updating your profile. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const searchUsers = async (req, res) => {
+  try {
+    const { q, limit = 20, cursor } = req.query;
+
+    const validatedData = userSearchSchema.parse({
+      q,
+      limit: parseInt(limit),
+      cursor,
+    });
+
+    let after = null;
+    if (validatedData.cursor) {
+      after = decodeCursor(validatedData.cursor, decoded => typeof decoded.username === 'string');
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+          message: 'The provided cursor is malformed.',
+          suggestion: 'Use the nextCursor value returned by a previous request, or omit it to start from the top'
+        });
+      }
+    }
+
+    // Nobody on either side of a block with the caller shows up
+    const blockedIds = await blockService.getBlockRelatedIds(req.user.id);
+
+    // Case-insensitive prefix match on username or display name, alphabetical;
+    // one extra row tells whether there's another page
+    const users = await prisma.user.findMany({
+      where: {
+        id: { notIn: [req.user.id, ...blockedIds] },
+        OR: [
+          { username: { startsWith: validatedData.q, mode: 'insensitive' } },
+          { displayName: { startsWith: validatedData.q, mode: 'insensitive' } },
+        ],
+        ...(after && { username: { gt: after.username } }),
+      },
+      select: publicUserSelect,
+      orderBy: { username: 'asc' },
+      take: validatedData.limit + 1,
+    });
+
+    const hasMore = users.length > validatedData.limit;
+    const page = users.slice(0, validatedData.limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ username: page[page.length - 1].username })
+      : null;
+    const online = await socketService.getOnlineStatus(page.map(user => user.id));
+
+    res.status(200).json({
+      success: true,
+      message: `Found ${page.length} user(s) matching "${validatedData.q}"`,
+      data: {
+        users: page.map(user => ({
+          ...formatPublicProfile(user),
+          online: online[user.id]
+        })),
+        pagination: {
+          limit: validatedData.limit,
+          hasMore,
+          nextCursor
+        }
+      },
+      instructions: {
+        startChat: 'Emit message:send with { receiverUsername, content } or { receiverId, content } over Socket.IO',
+        nextPage: hasMore
+          ? `Use cursor=${nextCursor} to get the next page`
+          : 'No more users available'
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your query parameters. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        })),
+        example: {
+          q: 'joh (1-50 characters, matches the start of a username or display name)',
+          limit: '20 (optional, max 50)',
+          cursor: 'nextCursor from the previous page (optional)'
+        }
+      });
+    }
+    console.error('Search users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while searching users. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const getUserProfile = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: publicUserSelect,
+    });
+
+    if (!user) {
+      return userNotFoundResponse(res, userId);
+    }
+
+    // Presence isn't shared across a block; the blocker can still see they blocked
+    const [blockedByMe, blockedBetween, online] = await Promise.all([
+      blockService.findBlock(req.user.id, user.id),
+      blockService.isBlockedBetween(req.user.id, user.id),
+      socketService.isUserOnline(user.id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved profile of ${user.username}`,
+      data: {
+        user: {
+          ...formatPublicProfile(user),
+          online: !blockedBetween && online,
+          blocked: Boolean(blockedByMe)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while fetching the profile. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const blockUser = async (req, res) => {
+  try {
+    const user = await findOtherUser(req, res, 'block');
+    if (!user) return;
+
+    const created = await blockService.block(req.user.id, user.id);
+
+    // Each side now sees the other as offline
+    if (created) {
+      socketService.emitToUser(req.user.id, 'user:status', { userId: user.id, status: false });
+      socketService.emitToUser(user.id, 'user:status', { userId: req.user.id, status: false });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? `Blocked ${user.username}` : `${user.username} was already blocked`,
+      data: {
+        user: formatPublicProfile(user)
+      },
+      instructions: {
+        note: 'Neither of you can send direct messages, see typing or see presence; their group messages are hidden from you',
+        unblock: `DELETE /api/users/${user.id}/block`
+      }
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while blocking the user. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const removed = await blockService.unblock(req.user.id, userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not blocked',
+        message: `You have not blocked the user ${userId}`,
+        suggestion: 'See who you have blocked at GET /api/users/me/blocked'
+      });
+    }
+
+    // Presence resumes unless the other side still blocks this user
+    if (!(await blockService.isBlockedBetween(req.user.id, userId))) {
+      const online = await socketService.getOnlineStatus([userId, req.user.id]);
+      socketService.emitToUser(req.user.id, 'user:status', { userId, status: online[userId] });
+      socketService.emitToUser(userId, 'user:status', { userId: req.user.id, status: online[req.user.id] });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked',
+      data: { userId }
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while unblocking the user. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const listBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await blockService.listBlocked(req.user.id, publicUserSelect);
+
+    res.status(200).json({
+      success: true,
+      message: `You have blocked ${blocks.length} user(s)`,
+      data: {
+        users: blocks.map(block => ({
+          ...formatPublicProfile(block.blocked),
+          blockedAt: block.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while fetching blocked users. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const muteUser = async (req, res) => {
+  try {
+    const validatedData = muteSchema.parse(req.body || {});
+
+    const user = await findOtherUser(req, res, 'mute');
+    if (!user) return;
+
+    const mutedUntil = validatedData.minutes
+      ? new Date(Date.now() + validatedData.minutes * 60 * 1000)
+      : null;
+    await muteService.mute(req.user.id, { peerId: user.id }, mutedUntil);
+
+    res.status(200).json({
+      success: true,
+      message: mutedUntil
+        ? `Chat with ${user.username} muted until ${mutedUntil.toISOString()}`
+        : `Chat with ${user.username} muted until you unmute it`,
+      data: {
+        userId: user.id,
+        mutedUntil
+      },
+      instructions: {
+        note: 'New messages are still delivered with message:received; only message:notification is withheld',
+        unmute: `DELETE /api/users/${user.id}/mute`
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Please check your request data. The following fields have errors:',
+        details: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        })),
+        example: {
+          minutes: '60 (optional, up to 525600; omit to mute until unmuted)'
+        }
+      });
+    }
+    console.error('Mute user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while muting the chat. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export const unmuteUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const unmuted = await muteService.unmute(req.user.id, { peerId: userId });
+
+    if (!unmuted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not muted',
+        message: `Your chat with the user ${userId} is not muted`,
+        suggestion: 'Mute it with POST /api/users/:userId/mute'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Chat unmuted; you will be notified of new messages again',
+      data: { userId }
+    });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while unmuting the chat. Please try again later.',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
@@ -1,5 +1,12 @@
 import jwt from 'jsonwebtoken';
-import prisma from '../config/database.js';
+import sessionService from '../services/sessionService.js';
+
+// Resolve a verified access token to its live session, or null if the session
+// was revoked, expired, or the token predates sessions (no sid)
+const loadSession = (decoded) => {
+  if (!decoded.sid) return null;
+  return sessionService.findActiveSession(decoded.sid, decoded.userId);
+};
 
 export const authenticateSocket = async (socket, next) => {
   try {
@@ -11,17 +18,15 @@ export const authenticateSocket = async (socket, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, username: true, email: true }
-    });
+    const session = await loadSession(decoded);
 
-    if (!user) {
-      return next(new Error('Authentication error: User not found'));
+    if (!session) {
+      return next(new Error('Authentication error: Session revoked or expired'));
     }
 
-    socket.userId = user.id;
-    socket.user = user;
+    socket.userId = session.user.id;
+    socket.user = session.user;
+    socket.sessionId = session.id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -52,21 +57,19 @@ export const authenticateHTTP = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, username: true, email: true }
-    });
+    const session = await loadSession(decoded);
 
-    if (!user) {
+    if (!session) {
       return res.status(401).json({ 
         success: false,
-        error: 'User not found',
-        message: 'The user associated with this token no longer exists.',
-        suggestion: 'Please register a new account or contact support'
+        error: 'Session revoked',
+        message: 'This token belongs to a session that has been logged out, revoked or has expired.',
+        suggestion: 'Please login again at POST /api/auth/login'
       });
     }
 
-    req.user = user;
+    req.user = session.user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -82,7 +85,7 @@ export const authenticateHTTP = async (req, res, next) => {
         success: false,
         error: 'Token expired',
         message: 'Your authentication token has expired.',
-        suggestion: 'Please login again to get a new token at POST /api/auth/login',
+        suggestion: 'Get a new token at POST /api/auth/refresh with your refresh token, or login again at POST /api/auth/login',
         tokenExpiredAt: error.expiredAt
       });
     }
@@ -95,4 +98,3 @@ export const authenticateHTTP = async (req, res, next) => {
   }
 };
 
-
@@ -0,0 +1,29 @@
+import { TokenBucketLimiter } from '../utils/tokenBucket.js';
+
+const limiter = new TokenBucketLimiter();
+
+// Limit a route group to `perMinute()` requests per client IP. perMinute is a
+// function so the value is read after .env has been loaded.
+export const rateLimit = (name, perMinute) => (req, res, next) => {
+  const limit = perMinute();
+  const result = limiter.take(`${name}:${req.ip}`, {
+    capacity: limit,
+    refillPerSec: limit / 60,
+  });
+
+  res.set('RateLimit-Limit', String(limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+
+  if (!result.allowed) {
+    const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests',
+      message: `Rate limit of ${limit} requests per minute exceeded. Please wait ${retryAfter} second(s) before trying again.`,
+      retryAfter
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,11 @@
+import express from 'express';
+import { parseUpload, uploadAttachment, downloadAttachment } from '../controllers/attachmentController.js';
+import { authenticateHTTP } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.post('/', authenticateHTTP, parseUpload, uploadAttachment);
+router.get('/:attachmentId', authenticateHTTP, downloadAttachment);
+
+export default router;
+
@@ -1,10 +1,41 @@
 import express from 'express';
-import { register, login } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  listSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+} from '../controllers/authController.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../controllers/twoFactorController.js';
+import { authenticateHTTP } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/logout', authenticateHTTP, logout);
+router.get('/sessions', authenticateHTTP, listSessions);
+router.delete('/sessions/:sessionId', authenticateHTTP, revokeSession);
+
+router.post('/2fa/setup', authenticateHTTP, setupTwoFactor);
+router.post('/2fa/enable', authenticateHTTP, enableTwoFactor);
+router.post('/2fa/disable', authenticateHTTP, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateHTTP, regenerateRecoveryCodes);
 
 export default router;
 
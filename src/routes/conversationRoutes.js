@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  createConversation,
+  getConversation,
+  addMembers,
+  removeMember,
+  muteConversation,
+  unmuteConversation,
+} from '../controllers/conversationController.js';
+import { authenticateHTTP } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.post('/', authenticateHTTP, createConversation);
+router.get('/:conversationId', authenticateHTTP, getConversation);
+router.post('/:conversationId/members', authenticateHTTP, addMembers);
+router.delete('/:conversationId/members/:userId', authenticateHTTP, removeMember);
+router.post('/:conversationId/mute', authenticateHTTP, muteConversation);
+router.delete('/:conversationId/mute', authenticateHTTP, unmuteConversation);
+
+export default router;
+
@@ -1,11 +1,33 @@
 import express from 'express';
-import { getChatHistory } from '../controllers/messageController.js';
+import {
+  getChatHistory,
+  getConversations,
+  markChatRead,
+  editMessage,
+  getMessageRevisions,
+  deleteMessage,
+  searchMessages,
+} from '../controllers/messageController.js';
+import {
+  getMessageRequests,
+  acceptMessageRequest,
+  declineMessageRequest,
+} from '../controllers/messageRequestController.js';
 import { authenticateHTTP } from '../middleware/auth.js';
 
 const router = express.Router();
 
+router.get('/conversations', authenticateHTTP, getConversations);
+router.get('/search', authenticateHTTP, searchMessages);
+router.get('/requests', authenticateHTTP, getMessageRequests);
+router.post('/requests/:requestId/accept', authenticateHTTP, acceptMessageRequest);
+router.post('/requests/:requestId/decline', authenticateHTTP, declineMessageRequest);
+router.get('/history/conversation/:conversationId', authenticateHTTP, getChatHistory);
 router.get('/history/:userId', authenticateHTTP, getChatHistory);
+router.post('/read/:userId', authenticateHTTP, markChatRead);
+router.patch('/:messageId', authenticateHTTP, editMessage);
+router.delete('/:messageId', authenticateHTTP, deleteMessage);
+router.get('/:messageId/revisions', authenticateHTTP, getMessageRevisions);
 
 export default router;
 
-
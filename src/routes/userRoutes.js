@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getMe,
+  updateMe,
+  searchUsers,
+  getUserProfile,
+  listBlockedUsers,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+} from '../controllers/userController.js';
+import { authenticateHTTP } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/me', authenticateHTTP, getMe);
+router.patch('/me', authenticateHTTP, updateMe);
+router.get('/me/blocked', authenticateHTTP, listBlockedUsers);
+router.get('/search', authenticateHTTP, searchUsers);
+router.get('/:userId', authenticateHTTP, getUserProfile);
+router.post('/:userId/block', authenticateHTTP, blockUser);
+router.delete('/:userId/block', authenticateHTTP, unblockUser);
+router.post('/:userId/mute', authenticateHTTP, muteUser);
+router.delete('/:userId/mute', authenticateHTTP, unmuteUser);
+
+export default router;
@@ -5,8 +5,14 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import authRoutes from './routes/authRoutes.js';
 import messageRoutes from './routes/messageRoutes.js';
+import conversationRoutes from './routes/conversationRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import attachmentRoutes from './routes/attachmentRoutes.js';
 import { authenticateSocket } from './middleware/auth.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { httpRateLimits } from './config/rateLimits.js';
 import socketService from './services/socketService.js';
+import clusterService from './services/clusterService.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,7 +29,9 @@ const io = new Server(httpServer, {
   },
 });
 
-// Initialize socket service
+// Share broadcasts and presence with other instances (CLUSTER_DRIVER),
+// then initialize socket service
+await clusterService.setup(io);
 socketService.initialize(io);
 
 // Middleware
@@ -68,15 +76,165 @@ app.get('/', (req, res) => {
         login: {
           method: 'POST',
           path: '/api/auth/login',
-          description: 'Login and get JWT token',
+          description: 'Login and get a short-lived JWT access token plus a refresh token (429 with Retry-After after repeated failures)',
           authentication: false,
           body: {
             email: 'string (valid email)',
-            password: 'string'
+            password: 'string',
+            deviceName: 'string (optional, label for this session)'
           }
+        },
+        loginTwoFactor: {
+          method: 'POST',
+          path: '/api/auth/login/2fa',
+          description: 'Finish a login for an account with 2FA, using the mfaToken from login',
+          authentication: false,
+          body: {
+            mfaToken: 'string (from login)',
+            code: 'string (6-digit TOTP code) - or recoveryCode: string'
+          }
+        },
+        twoFactorSetup: {
+          method: 'POST',
+          path: '/api/auth/2fa/setup',
+          description: 'Start 2FA enrollment; returns a TOTP secret and otpauth URI',
+          authentication: true
+        },
+        twoFactorEnable: {
+          method: 'POST',
+          path: '/api/auth/2fa/enable',
+          description: 'Confirm enrollment with a first code; returns one-time recovery codes',
+          authentication: true,
+          body: {
+            code: 'string (6-digit TOTP code)'
+          }
+        },
+        twoFactorDisable: {
+          method: 'POST',
+          path: '/api/auth/2fa/disable',
+          description: 'Turn 2FA off',
+          authentication: true,
+          body: {
+            password: 'string',
+            code: 'string (6-digit TOTP code)'
+          }
+        },
+        recoveryCodes: {
+          method: 'POST',
+          path: '/api/auth/2fa/recovery-codes',
+          description: 'Replace your recovery codes',
+          authentication: true,
+          body: {
+            code: 'string (6-digit TOTP code)'
+          }
+        },
+        refresh: {
+          method: 'POST',
+          path: '/api/auth/refresh',
+          description: 'Exchange a refresh token for a new access token and refresh token',
+          authentication: false,
+          body: {
+            refreshToken: 'string (from login or the previous refresh)'
+          }
+        },
+        forgotPassword: {
+          method: 'POST',
+          path: '/api/auth/forgot-password',
+          description: 'Email a single-use password reset token',
+          authentication: false,
+          body: {
+            email: 'string (valid email)'
+          }
+        },
+        resetPassword: {
+          method: 'POST',
+          path: '/api/auth/reset-password',
+          description: 'Set a new password with a reset token; signs out every session',
+          authentication: false,
+          body: {
+            token: 'string (from the reset email)',
+            password: 'string (min 6 chars)'
+          }
+        },
+        verifyEmail: {
+          method: 'POST',
+          path: '/api/auth/verify-email',
+          description: 'Confirm your email address with the token sent at registration',
+          authentication: false,
+          body: {
+            token: 'string (from the verification email)'
+          }
+        },
+        logout: {
+          method: 'POST',
+          path: '/api/auth/logout',
+          description: 'Revoke the current session (or all of them) and disconnect its sockets',
+          authentication: true,
+          body: {
+            allSessions: 'boolean (optional, default: false)'
+          }
+        },
+        sessions: {
+          method: 'GET',
+          path: '/api/auth/sessions',
+          description: 'List your active sessions with device info and live socket state',
+          authentication: true
+        },
+        revokeSession: {
+          method: 'DELETE',
+          path: '/api/auth/sessions/:sessionId',
+          description: 'Sign a device out remotely and disconnect its sockets',
+          authentication: true
         }
       },
       messages: {
+        conversations: {
+          method: 'GET',
+          path: '/api/messages/conversations',
+          description: 'Inbox: your direct chats and groups with last message and unread count, most recent first',
+          authentication: true,
+          queryParams: {
+            limit: 'number (1-50, default: 20)',
+            cursor: 'string (nextCursor from the previous page)'
+          }
+        },
+        search: {
+          method: 'GET',
+          path: '/api/messages/search',
+          description: 'Full-text search across your chats, newest first, with highlighted snippets',
+          authentication: true,
+          queryParams: {
+            q: 'string (required)',
+            with: 'user uuid (optional, only your direct chat with this user)',
+            conversationId: 'group uuid (optional)',
+            from: 'ISO date (optional)',
+            to: 'ISO date (optional)',
+            limit: 'number (1-50, default: 20)',
+            cursor: 'string (nextCursor from the previous page)'
+          }
+        },
+        requests: {
+          method: 'GET',
+          path: '/api/messages/requests',
+          description: 'Pending message requests: first messages from people who are not your contacts yet',
+          authentication: true,
+          queryParams: {
+            limit: 'number (1-50, default: 20)',
+            cursor: 'string (nextCursor from the previous page)'
+          }
+        },
+        acceptRequest: {
+          method: 'POST',
+          path: '/api/messages/requests/:requestId/accept',
+          description: 'Accept a message request; the chat moves to your inbox',
+          authentication: true
+        },
+        declineRequest: {
+          method: 'POST',
+          path: '/api/messages/requests/:requestId/decline',
+          description: 'Decline a message request and hide its messages',
+          authentication: true
+        },
         history: {
           method: 'GET',
           path: '/api/messages/history/:userId',
@@ -84,8 +242,192 @@ app.get('/', (req, res) => {
           authentication: true,
           queryParams: {
             limit: 'number (1-100, default: 50)',
-            offset: 'number (default: 0)'
+            offset: 'number (default: 0)',
+            before: 'message uuid (optional, older messages than this one)',
+            after: 'message uuid (optional, newer messages than this one)'
+          }
+        },
+        conversationHistory: {
+          method: 'GET',
+          path: '/api/messages/history/conversation/:conversationId',
+          description: 'Get chat history of a group you belong to',
+          authentication: true,
+          queryParams: {
+            limit: 'number (1-100, default: 50)',
+            offset: 'number (default: 0)',
+            before: 'message uuid (optional, older messages than this one)',
+            after: 'message uuid (optional, newer messages than this one)'
+          }
+        },
+        markRead: {
+          method: 'POST',
+          path: '/api/messages/read/:userId',
+          description: 'Mark all messages received from a user as read, up to a given message',
+          authentication: true,
+          body: {
+            upToMessageId: 'message uuid (optional, defaults to the latest message)'
+          }
+        },
+        edit: {
+          method: 'PATCH',
+          path: '/api/messages/:messageId',
+          description: 'Edit a message you sent (previous content is kept as a revision)',
+          authentication: true,
+          body: {
+            content: 'string (1-1000 chars)'
+          }
+        },
+        revisions: {
+          method: 'GET',
+          path: '/api/messages/:messageId/revisions',
+          description: 'Get the edit history of a message',
+          authentication: true
+        },
+        delete: {
+          method: 'DELETE',
+          path: '/api/messages/:messageId',
+          description: 'Delete a message for yourself, or for everyone (sender only, within the delete window)',
+          authentication: true,
+          queryParams: {
+            scope: 'me | everyone (default: me)'
+          }
+        }
+      },
+      users: {
+        me: {
+          method: 'GET',
+          path: '/api/users/me',
+          description: 'Your own profile, including email and account security settings',
+          authentication: true
+        },
+        updateMe: {
+          method: 'PATCH',
+          path: '/api/users/me',
+          description: 'Update your profile or change your password (signs out your other sessions)',
+          authentication: true,
+          body: {
+            displayName: 'string (1-50 chars, optional, null to clear)',
+            bio: 'string (up to 300 chars, optional, null to clear)',
+            avatarUrl: 'http(s) URL (optional, null to clear)',
+            avatarAttachmentId: 'uuid of an uploaded image (optional, null to clear)',
+            currentPassword: 'string (required with newPassword)',
+            newPassword: 'string (min 6 chars, optional)'
+          }
+        },
+        search: {
+          method: 'GET',
+          path: '/api/users/search',
+          description: 'Find users by username or display name prefix to start a chat',
+          authentication: true,
+          queryParams: {
+            q: 'string (1-50 chars, required)',
+            limit: 'number (1-50, default: 20)',
+            cursor: 'string (nextCursor from the previous page)'
+          }
+        },
+        profile: {
+          method: 'GET',
+          path: '/api/users/:userId',
+          description: 'Public profile of a user (no email)',
+          authentication: true
+        },
+        blocked: {
+          method: 'GET',
+          path: '/api/users/me/blocked',
+          description: 'Users you have blocked',
+          authentication: true
+        },
+        block: {
+          method: 'POST',
+          path: '/api/users/:userId/block',
+          description: 'Block a user: no direct messages, typing or presence either way; their group messages are hidden from you',
+          authentication: true
+        },
+        unblock: {
+          method: 'DELETE',
+          path: '/api/users/:userId/block',
+          description: 'Unblock a user',
+          authentication: true
+        },
+        mute: {
+          method: 'POST',
+          path: '/api/users/:userId/mute',
+          description: 'Mute notifications from a direct chat (messages are still delivered)',
+          authentication: true,
+          body: {
+            minutes: 'number (1-525600, optional; omit to mute until unmuted)'
+          }
+        },
+        unmute: {
+          method: 'DELETE',
+          path: '/api/users/:userId/mute',
+          description: 'Unmute a direct chat',
+          authentication: true
+        }
+      },
+      conversations: {
+        create: {
+          method: 'POST',
+          path: '/api/conversations',
+          description: 'Create a group conversation (you become its admin)',
+          authentication: true,
+          body: {
+            name: 'string (1-100 chars)',
+            memberIds: 'array of user uuids (optional)'
+          }
+        },
+        get: {
+          method: 'GET',
+          path: '/api/conversations/:conversationId',
+          description: 'Get a group and its members',
+          authentication: true
+        },
+        addMembers: {
+          method: 'POST',
+          path: '/api/conversations/:conversationId/members',
+          description: 'Add members to a group (admins only)',
+          authentication: true,
+          body: {
+            memberIds: 'array of user uuids (1-100)'
+          }
+        },
+        removeMember: {
+          method: 'DELETE',
+          path: '/api/conversations/:conversationId/members/:userId',
+          description: 'Remove a member (admins) or leave the group (yourself)',
+          authentication: true
+        },
+        mute: {
+          method: 'POST',
+          path: '/api/conversations/:conversationId/mute',
+          description: 'Mute notifications from a group (messages are still delivered)',
+          authentication: true,
+          body: {
+            minutes: 'number (1-525600, optional; omit to mute until unmuted)'
           }
+        },
+        unmute: {
+          method: 'DELETE',
+          path: '/api/conversations/:conversationId/mute',
+          description: 'Unmute a group',
+          authentication: true
+        }
+      },
+      attachments: {
+        upload: {
+          method: 'POST',
+          path: '/api/attachments',
+          description: 'Upload a file (multipart/form-data, field "file") to attach to a message',
+          authentication: true,
+          body: {
+            file: 'images, pdf, text, zip, audio or mp4 (max ATTACHMENT_MAX_BYTES, default 10 MB)'
+          }
+        },
+        download: {
+          method: 'GET',
+          path: '/api/attachments/:attachmentId',
+          description: 'Download an attachment (uploader and conversation participants only)',
+          authentication: true
         }
       },
       socket: {
@@ -99,7 +441,7 @@ app.get('/', (req, res) => {
     quickStart: {
       step1: 'Register: POST /api/auth/register',
       step2: 'Login: POST /api/auth/login (get token)',
-      step3: 'Use token in Authorization header for protected endpoints',
+      step3: 'Use token in Authorization header for protected endpoints (renew it at POST /api/auth/refresh)',
       step4: 'Connect to Socket.IO for real-time features'
     },
     documentation: {
@@ -127,8 +469,11 @@ app.get('/health', (req, res) => {
 });
 
 // Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/messages', messageRoutes);
+app.use('/api/auth', rateLimit('auth', () => httpRateLimits().auth), authRoutes);
+app.use('/api/messages', rateLimit('messages', () => httpRateLimits().messages), messageRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/attachments', attachmentRoutes);
 
 // Socket.IO authentication middleware
 io.use(authenticateSocket);
@@ -166,7 +511,25 @@ app.use((req, res) => {
       health: 'GET /health',
       register: 'POST /api/auth/register',
       login: 'POST /api/auth/login',
+      loginTwoFactor: 'POST /api/auth/login/2fa',
+      refresh: 'POST /api/auth/refresh',
+      forgotPassword: 'POST /api/auth/forgot-password',
+      resetPassword: 'POST /api/auth/reset-password',
+      verifyEmail: 'POST /api/auth/verify-email',
+      sessions: 'GET /api/auth/sessions',
+      inbox: 'GET /api/messages/conversations',
+      search: 'GET /api/messages/search?q=',
+      messageRequests: 'GET /api/messages/requests',
+      markRead: 'POST /api/messages/read/:userId',
       chatHistory: 'GET /api/messages/history/:userId',
+      conversationHistory: 'GET /api/messages/history/conversation/:conversationId',
+      myProfile: 'GET /api/users/me',
+      searchUsers: 'GET /api/users/search?q=',
+      userProfile: 'GET /api/users/:userId',
+      blockUser: 'POST /api/users/:userId/block',
+      muteChat: 'POST /api/users/:userId/mute',
+      createGroup: 'POST /api/conversations',
+      uploadAttachment: 'POST /api/attachments',
       socket: 'WebSocket connection at ws://localhost:3000'
     },
     suggestion: 'Check the root endpoint (GET /) for all available endpoints'
@@ -184,16 +547,18 @@ httpServer.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
-  httpServer.close(() => {
+  httpServer.close(async () => {
     console.log('HTTP server closed');
+    await clusterService.close();
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing HTTP server');
-  httpServer.close(() => {
+  httpServer.close(async () => {
     console.log('HTTP server closed');
+    await clusterService.close();
     process.exit(0);
   });
 });
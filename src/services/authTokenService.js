@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+
+export const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+};
+
+// Lifetimes are read lazily so values from .env apply
+const tokenTtlMs = (type) => (type === TOKEN_TYPES.PASSWORD_RESET
+  ? (parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60) * 60 * 1000
+  : (parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24) * 60 * 60 * 1000);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Single-use, expiring tokens sent by email. The raw token only ever exists
+ * in the email; the database keeps its hash.
+ */
+class AuthTokenService {
+  // Issue a token, invalidating any earlier unused one of the same type
+  async issue(userId, type) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + tokenTtlMs(type));
+
+    await prisma.$transaction([
+      prisma.authToken.updateMany({
+        where: { userId, type, usedAt: null },
+        data: { usedAt: new Date() },
+      }),
+      prisma.authToken.create({
+        data: { userId, type, tokenHash: hashToken(token), expiresAt },
+      }),
+    ]);
+
+    return { token, expiresAt };
+  }
+
+  // Redeem a token. Returns the stored record, or { error } where error is
+  // 'invalid', 'used' or 'expired'.
+  async consume(token, type) {
+    const record = await prisma.authToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (!record || record.type !== type) {
+      return { error: 'invalid' };
+    }
+    if (record.usedAt) {
+      return { error: 'used' };
+    }
+    if (record.expiresAt <= new Date()) {
+      return { error: 'expired' };
+    }
+
+    // Only one concurrent redemption may win
+    const { count } = await prisma.authToken.updateMany({
+      where: { id: record.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return { error: 'used' };
+    }
+
+    return record;
+  }
+}
+
+export default new AuthTokenService();
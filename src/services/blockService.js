@@ -0,0 +1,81 @@
+import prisma from '../config/database.js';
+
+// Message filter hiding whatever was sent by users on either side of a block
+// with this user
+export const notFromBlockRelatedSenders = (userId) => ({
+  sender: {
+    blocksReceived: { none: { blockerId: userId } },
+    blocksMade: { none: { blockedId: userId } },
+  },
+});
+
+/**
+ * User blocks. A block works in both directions: neither side can message,
+ * see the other typing or see the other's presence.
+ */
+class BlockService {
+  // Returns false when the block already existed
+  async block(blockerId, blockedId) {
+    const existing = await this.findBlock(blockerId, blockedId);
+    if (existing) return false;
+
+    try {
+      await prisma.block.create({ data: { blockerId, blockedId } });
+      return true;
+    } catch (error) {
+      // Lost a race with a concurrent request for the same block
+      if (error.code === 'P2002') return false;
+      throw error;
+    }
+  }
+
+  // Returns false when there was no such block
+  async unblock(blockerId, blockedId) {
+    const { count } = await prisma.block.deleteMany({ where: { blockerId, blockedId } });
+    return count > 0;
+  }
+
+  findBlock(blockerId, blockedId) {
+    return prisma.block.findUnique({
+      where: { blockerId_blockedId: { blockerId, blockedId } },
+    });
+  }
+
+  // Users this user has blocked, newest first
+  listBlocked(userId, select) {
+    return prisma.block.findMany({
+      where: { blockerId: userId },
+      include: { blocked: { select } },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  // True when either user has blocked the other
+  async isBlockedBetween(userId, otherUserId) {
+    const count = await prisma.block.count({
+      where: {
+        OR: [
+          { blockerId: userId, blockedId: otherUserId },
+          { blockerId: otherUserId, blockedId: userId },
+        ],
+      },
+    });
+    return count > 0;
+  }
+
+  // Users on the other side of a block with this user, in either direction
+  async getBlockRelatedIds(userId) {
+    const blocks = await prisma.block.findMany({
+      where: {
+        OR: [
+          { blockerId: userId },
+          { blockedId: userId },
+        ],
+      },
+      select: { blockerId: true, blockedId: true },
+    });
+    return new Set(blocks.map(b => (b.blockerId === userId ? b.blockedId : b.blockerId)));
+  }
+}
+
+export default new BlockService();
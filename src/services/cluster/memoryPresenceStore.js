@@ -0,0 +1,46 @@
+/**
+ * Tracks which sockets each user has open, in process memory. Only correct
+ * for a single server; use the Redis store when running several.
+ */
+export class MemoryPresenceStore {
+  constructor() {
+    this.sockets = new Map(); // userId -> Set of socketIds
+  }
+
+  // Returns how many sockets the user has open afterwards
+  async add(userId, socketId) {
+    if (!this.sockets.has(userId)) {
+      this.sockets.set(userId, new Set());
+    }
+    const userSockets = this.sockets.get(userId);
+    userSockets.add(socketId);
+    return userSockets.size;
+  }
+
+  // Returns how many sockets the user still has open
+  async remove(userId, socketId) {
+    const userSockets = this.sockets.get(userId);
+    if (!userSockets) return 0;
+
+    userSockets.delete(socketId);
+    if (userSockets.size === 0) {
+      this.sockets.delete(userId);
+    }
+    return userSockets.size;
+  }
+
+  // The subset of userIds with at least one open socket
+  async filterOnline(userIds) {
+    return new Set(userIds.filter(userId => this.sockets.has(userId)));
+  }
+
+  // Nothing outlives the process, so there is nothing left over to clear
+  async clearServer() {
+    return [];
+  }
+
+  // There are no other servers to check on
+  async heartbeat() {
+    return { offlineUserIds: [], registered: false };
+  }
+}
@@ -0,0 +1,115 @@
+// Run a MULTI transaction, returning each command's result or throwing the
+// first command error (ioredis reports them per command)
+const execTransaction = async (transaction) => {
+  const results = await transaction.exec();
+  const failed = results.find(([error]) => error);
+  if (failed) throw failed[0];
+  return results.map(([, result]) => result);
+};
+
+/**
+ * Tracks which sockets each user has open in Redis, shared by every server.
+ *
+ * Keys (under the configured prefix):
+ *   <prefix>:user:<userId>      set of socket ids
+ *   <prefix>:server:<serverId>  set of "<userId> <socketId>" opened through this server
+ *   <prefix>:servers            sorted set of server ids, scored by last heartbeat
+ *
+ * Every server calls heartbeat() periodically. A server that misses
+ * heartbeats for staleAfterMs is taken for dead and the next live server to
+ * notice drops its sockets, so a crash never leaves users online for good.
+ * A server restarting under the same id also drops its old entries at once
+ * (clearServer).
+ */
+export class RedisPresenceStore {
+  // client is an ioredis connection
+  constructor(client, { serverId, prefix = 'chat:presence', staleAfterMs = 30000 }) {
+    this.client = client;
+    this.serverId = serverId;
+    this.prefix = prefix;
+    this.staleAfterMs = staleAfterMs;
+  }
+
+  userKey(userId) {
+    return `${this.prefix}:user:${userId}`;
+  }
+
+  serverKey(serverId = this.serverId) {
+    return `${this.prefix}:server:${serverId}`;
+  }
+
+  serversKey() {
+    return `${this.prefix}:servers`;
+  }
+
+  // Returns how many sockets the user has open afterwards, across all servers
+  async add(userId, socketId) {
+    const [, , count] = await execTransaction(this.client.multi()
+      .sadd(this.userKey(userId), socketId)
+      .sadd(this.serverKey(), `${userId} ${socketId}`)
+      .scard(this.userKey(userId)));
+    return count;
+  }
+
+  // Returns how many sockets the user still has open, across all servers
+  async remove(userId, socketId) {
+    const [, , count] = await execTransaction(this.client.multi()
+      .srem(this.userKey(userId), socketId)
+      .srem(this.serverKey(), `${userId} ${socketId}`)
+      .scard(this.userKey(userId)));
+    return count;
+  }
+
+  // The subset of userIds with at least one open socket
+  async filterOnline(userIds) {
+    if (userIds.length === 0) return new Set();
+
+    const pipeline = this.client.pipeline();
+    userIds.forEach(userId => pipeline.scard(this.userKey(userId)));
+    const results = await pipeline.exec();
+    return new Set(userIds.filter((userId, index) => {
+      const [error, count] = results[index];
+      if (error) throw error;
+      return count > 0;
+    }));
+  }
+
+  // Forget every socket recorded through a server: this one's earlier run by
+  // default, or a dead one. Returns the users left with no open socket.
+  async clearServer(serverId = this.serverId) {
+    const entries = await this.client.smembers(this.serverKey(serverId));
+    if (entries.length === 0) return [];
+
+    const userIds = [...new Set(entries.map(entry => entry.split(' ')[0]))];
+    const transaction = this.client.multi();
+    entries.forEach(entry => {
+      const [userId, socketId] = entry.split(' ');
+      transaction.srem(this.userKey(userId), socketId);
+    });
+    transaction.del(this.serverKey(serverId));
+    userIds.forEach(userId => transaction.scard(this.userKey(userId)));
+
+    const results = await execTransaction(transaction);
+    const counts = results.slice(entries.length + 1);
+    return userIds.filter((userId, index) => counts[index] === 0);
+  }
+
+  // Mark this server alive and drop the sockets of servers that stopped
+  // heartbeating. Returns the users those servers left with no open socket,
+  // and whether this server had to re-register (it was itself pruned while
+  // cut off from Redis, or this is its first heartbeat).
+  async heartbeat(now = Date.now()) {
+    const added = await this.client.zadd(this.serversKey(), now, this.serverId);
+    const staleIds = await this.client.zrangebyscore(this.serversKey(), '-inf', now - this.staleAfterMs);
+
+    const offlineUserIds = [];
+    for (const serverId of staleIds) {
+      // Only the server that wins the removal cleans up, so each user is
+      // reported offline once
+      if (serverId === this.serverId || await this.client.zrem(this.serversKey(), serverId) === 0) continue;
+      offlineUserIds.push(...await this.clearServer(serverId));
+    }
+
+    return { offlineUserIds, registered: added === 1 };
+  }
+}
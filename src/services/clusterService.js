@@ -0,0 +1,138 @@
+import os from 'os';
+import Redis from 'ioredis';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { MemoryPresenceStore } from './cluster/memoryPresenceStore.js';
+import { RedisPresenceStore } from './cluster/redisPresenceStore.js';
+
+/**
+ * Wires up what several server instances need to share: the Socket.IO
+ * adapter (broadcasts and room membership) and the presence store (who is
+ * online, with which sockets).
+ *
+ * CLUSTER_DRIVER=memory (default) keeps both in process, for a single
+ * instance. CLUSTER_DRIVER=redis uses the Redis server at REDIS_URL for both,
+ * through @socket.io/redis-adapter and ioredis connections that reconnect
+ * with backoff after Redis goes away.
+ *
+ * A presence store is any object implementing:
+ *   add(userId, socketId)      -> Promise<number>   sockets open afterwards
+ *   remove(userId, socketId)   -> Promise<number>   sockets still open
+ *   filterOnline(userIds)      -> Promise<Set>      ids with a socket open
+ *   clearServer()              -> Promise<string[]> drop this server's stale entries
+ *   heartbeat()                -> Promise<{ offlineUserIds, registered }>
+ *                                 keep this server alive, prune dead ones
+ */
+class ClusterService {
+  constructor() {
+    this.presenceStore = null;
+    this.clients = [];
+    this.heartbeatTimer = null;
+    this.heartbeatStarted = false;
+    this.statusListener = null; // (userIds, isOnline) => void
+  }
+
+  setPresenceStore(store) {
+    this.presenceStore = store;
+  }
+
+  // Defaults to the in-memory store when setup() hasn't configured one
+  getPresenceStore() {
+    if (!this.presenceStore) {
+      this.presenceStore = new MemoryPresenceStore();
+    }
+    return this.presenceStore;
+  }
+
+  // Called when presence changes for users without a socket event on this
+  // server: a dead server's users going offline, or this server's users
+  // coming back after it was pruned
+  setStatusListener(listener) {
+    this.statusListener = listener;
+  }
+
+  // Identifies this instance's entries in the shared presence store. A stable
+  // id lets a restarted instance clean up after itself at once; otherwise its
+  // entries are pruned once its heartbeats stop.
+  serverId() {
+    return process.env.SERVER_ID || `${os.hostname()}:${process.env.PORT || 3000}`;
+  }
+
+  // Commands issued while disconnected are queued and sent once the
+  // connection is back; subscriptions are restored automatically
+  createClient(url) {
+    const client = new Redis(url, {
+      retryStrategy: times => Math.min(times * 200, 5000),
+    });
+    client.on('error', error => console.error('Redis connection error:', error.message));
+    this.clients.push(client);
+    return client;
+  }
+
+  // Call once at startup, before accepting connections
+  async setup(io) {
+    const driver = process.env.CLUSTER_DRIVER || 'memory';
+
+    if (driver === 'memory') {
+      this.getPresenceStore();
+      return;
+    }
+    if (driver !== 'redis') {
+      throw new Error(`Unknown CLUSTER_DRIVER "${driver}" (expected "memory" or "redis")`);
+    }
+
+    const url = process.env.REDIS_URL || 'redis://localhost:6379';
+    const prefix = process.env.REDIS_KEY_PREFIX || 'chat';
+
+    // Commands, publishing and subscribing each need their own connection
+    const commandClient = this.createClient(url);
+    const pubClient = this.createClient(url);
+    const subClient = this.createClient(url);
+
+    io.adapter(createAdapter(pubClient, subClient, { key: `${prefix}:socket.io` }));
+
+    const intervalMs = (parseInt(process.env.PRESENCE_HEARTBEAT_SECONDS) || 10) * 1000;
+    const store = new RedisPresenceStore(commandClient, {
+      serverId: this.serverId(),
+      prefix: `${prefix}:presence`,
+      staleAfterMs: intervalMs * 3,
+    });
+    await store.clearServer();
+    this.setPresenceStore(store);
+
+    await this.heartbeat(io);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(io), intervalMs);
+    this.heartbeatTimer.unref();
+  }
+
+  async heartbeat(io) {
+    try {
+      const { offlineUserIds, registered } = await this.presenceStore.heartbeat();
+
+      // Another server took this one for dead while Redis was out of reach
+      // and dropped its sockets; record the ones still connected again
+      if (registered && this.heartbeatStarted) {
+        const sockets = [...io.of('/').sockets.values()];
+        await Promise.all(sockets.map(socket => this.presenceStore.add(socket.userId, socket.id)));
+        this.notifyStatus([...new Set(sockets.map(socket => socket.userId))], true);
+      }
+      this.heartbeatStarted = true;
+
+      this.notifyStatus(offlineUserIds, false);
+    } catch (error) {
+      console.error('Presence heartbeat error:', error.message);
+    }
+  }
+
+  notifyStatus(userIds, isOnline) {
+    if (userIds.length > 0 && this.statusListener) {
+      this.statusListener(userIds, isOnline);
+    }
+  }
+
+  async close() {
+    clearInterval(this.heartbeatTimer);
+    await Promise.all(this.clients.splice(0).map(client => client.quit()));
+  }
+}
+
+export default new ClusterService();
@@ -0,0 +1,123 @@
+const MINUTE = 60 * 1000;
+
+/**
+ * Tracks failed logins per account (email) and per client IP.
+ *
+ * After `freeAttempts` failures each further one blocks the key for an
+ * exponentially growing delay (baseDelayMs, doubled each time, capped at
+ * maxDelayMs). Reaching the threshold locks the key for lockoutMs, doubled
+ * for every repeated lockout, and reports it through onLockout.
+ *
+ * The store is any object implementing:
+ *   get(key)               -> Promise<entry | null>
+ *   set(key, entry, ttlMs) -> Promise<void>
+ *   delete(key)            -> Promise<void>
+ */
+export class LoginThrottle {
+  constructor({
+    store,
+    onLockout = async () => {},
+    freeAttempts = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = MINUTE,
+    accountThreshold = 10,
+    ipThreshold = 50,
+    lockoutMs = 15 * MINUTE,
+    maxLockoutMs = 24 * 60 * MINUTE,
+    windowMs = 15 * MINUTE,
+    now = Date.now,
+  }) {
+    this.store = store;
+    this.onLockout = onLockout;
+    this.freeAttempts = freeAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.accountThreshold = accountThreshold;
+    this.ipThreshold = ipThreshold;
+    this.lockoutMs = lockoutMs;
+    this.maxLockoutMs = maxLockoutMs;
+    this.windowMs = windowMs;
+    this.now = now;
+  }
+
+  accountKey(email) {
+    return `account:${String(email).toLowerCase()}`;
+  }
+
+  ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  // Counters that apply to one login attempt
+  scopes({ email, ip }) {
+    const scopes = [];
+    if (email) scopes.push({ scope: 'account', key: this.accountKey(email), threshold: this.accountThreshold });
+    if (ip) scopes.push({ scope: 'ip', key: this.ipKey(ip), threshold: this.ipThreshold });
+    return scopes;
+  }
+
+  // The longest block currently applying to an attempt, or { blocked: false }
+  async check(identity) {
+    const now = this.now();
+    let result = { blocked: false };
+
+    for (const { scope, key } of this.scopes(identity)) {
+      const entry = await this.store.get(key);
+      if (!entry || entry.blockedUntil <= now) continue;
+
+      const retryAfterMs = entry.blockedUntil - now;
+      if (!result.blocked || retryAfterMs > result.retryAfterMs) {
+        result = { blocked: true, scope, locked: entry.lockedUntil > now, retryAfterMs };
+      }
+    }
+
+    return result;
+  }
+
+  // Count a failed attempt against every scope; returns the resulting block
+  async recordFailure(identity) {
+    const now = this.now();
+
+    for (const { scope, key, threshold } of this.scopes(identity)) {
+      const entry = (await this.store.get(key)) || { failures: 0, lockouts: 0, blockedUntil: 0, lockedUntil: 0 };
+      entry.failures += 1;
+
+      if (entry.failures >= threshold) {
+        const duration = Math.min(this.lockoutMs * 2 ** entry.lockouts, this.maxLockoutMs);
+        entry.lockouts += 1;
+        entry.lockedUntil = now + duration;
+        entry.blockedUntil = entry.lockedUntil;
+
+        await this.onLockout({
+          scope,
+          email: identity.email,
+          ip: identity.ip,
+          userId: scope === 'account' ? identity.userId : null,
+          failedAttempts: entry.failures,
+          lockedUntil: new Date(entry.lockedUntil),
+        });
+
+        // A fresh set of attempts once the lockout ends
+        entry.failures = 0;
+      } else if (entry.failures > this.freeAttempts) {
+        const delay = Math.min(this.baseDelayMs * 2 ** (entry.failures - this.freeAttempts - 1), this.maxDelayMs);
+        entry.blockedUntil = Math.max(entry.blockedUntil, now + delay);
+      }
+
+      // Keep the counter for a while after the block ends so backoff keeps growing
+      await this.store.set(key, entry, Math.max(entry.blockedUntil - now, 0) + this.windowMs);
+    }
+
+    return this.check(identity);
+  }
+
+  // A successful login clears the account's counter; the IP's is kept so one
+  // valid account can't be used to reset it
+  async recordSuccess({ email }) {
+    await this.store.delete(this.accountKey(email));
+  }
+
+  async clearAccount(email) {
+    await this.store.delete(this.accountKey(email));
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Keeps failed-login counters in process memory. Counters are lost on
+ * restart and not shared between instances; plug in a shared store for that.
+ */
+export class MemoryAttemptStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+    if (item.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return item.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    if (this.entries.size > 10000) {
+      this.sweep();
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Drop expired counters so abandoned keys don't pile up
+  sweep() {
+    const now = Date.now();
+    for (const [key, item] of this.entries) {
+      if (item.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,73 @@
+import prisma from '../config/database.js';
+import { LoginThrottle } from './loginThrottle/loginThrottle.js';
+import { MemoryAttemptStore } from './loginThrottle/memoryStore.js';
+
+/**
+ * Brute-force protection for login. Failed-attempt counters live in an
+ * in-memory store by default; call setStore() at startup to share them
+ * between instances (e.g. a Redis-backed store). Every lockout is written
+ * to the login_lockouts table.
+ */
+class LoginThrottleService {
+  constructor() {
+    this.store = null;
+    this.throttle = null;
+  }
+
+  setStore(store) {
+    this.store = store;
+    this.throttle = null;
+  }
+
+  // Created on first use so the LOGIN_* settings from .env are already loaded
+  getThrottle() {
+    if (!this.throttle) {
+      this.throttle = new LoginThrottle({
+        store: this.store || (this.store = new MemoryAttemptStore()),
+        onLockout: (lockout) => this.recordLockout(lockout),
+        freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+        accountThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+        ipThreshold: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50,
+        lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+      });
+    }
+    return this.throttle;
+  }
+
+  async recordLockout({ scope, email, ip, userId, failedAttempts, lockedUntil }) {
+    console.warn(`🔒 Login lockout (${scope}) for ${scope === 'ip' ? ip : email} until ${lockedUntil.toISOString()}`);
+    try {
+      await prisma.loginLockout.create({
+        data: {
+          scope,
+          userId: userId || null,
+          email: email || null,
+          ipAddress: ip || null,
+          failedAttempts,
+          lockedUntil,
+        },
+      });
+    } catch (error) {
+      // Losing an audit row must not turn a lockout into a server error
+      console.error('Login lockout audit error:', error);
+    }
+  }
+
+  check(identity) {
+    return this.getThrottle().check(identity);
+  }
+
+  recordFailure(identity) {
+    return this.getThrottle().recordFailure(identity);
+  }
+
+  recordSuccess(identity) {
+    return this.getThrottle().recordSuccess(identity);
+  }
+
+  clearAccount(email) {
+    return this.getThrottle().clearAccount(email);
+  }
+}
+
+export default new LoginThrottleService();
@@ -0,0 +1,19 @@
+/**
+ * Prints outgoing mail to the server log. Useful while developing, when the
+ * reset and verification links only need to be copied from the console.
+ */
+export class ConsoleTransport {
+  constructor(logger = console) {
+    this.logger = logger;
+  }
+
+  async send(mail) {
+    this.logger.log([
+      '📧 Outgoing mail',
+      `To: ${mail.to}`,
+      `Subject: ${mail.subject}`,
+      '',
+      mail.text,
+    ].join('\n'));
+  }
+}
@@ -0,0 +1,40 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Writes every outgoing mail as a JSON file under a directory, so tests and
+ * local tooling can read back what would have been sent.
+ */
+export class FileTransport {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  async send(mail) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const fileName = `${Date.now()}-${randomUUID()}.json`;
+    const record = { ...mail, sentAt: new Date().toISOString() };
+    await fs.promises.writeFile(path.join(this.dir, fileName), JSON.stringify(record, null, 2));
+    return fileName;
+  }
+
+  // Mails written so far, oldest first
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const mails = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(async file => JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8')))
+    );
+    return mails;
+  }
+}
@@ -0,0 +1,82 @@
+import { ConsoleTransport } from './mail/consoleTransport.js';
+import { FileTransport } from './mail/fileTransport.js';
+
+/**
+ * Facade over the configured mail transport.
+ *
+ * A transport is any object implementing:
+ *   send({ to, subject, text }) -> Promise
+ *
+ * MAIL_TRANSPORT picks a built-in one: "console" (default) logs mail, "file"
+ * writes it as JSON under MAIL_DIR. Call setTransport() at startup to plug
+ * in a real provider (SMTP, an email API, ...).
+ */
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // Created on first use so MAIL_TRANSPORT from .env is already loaded
+  getTransport() {
+    if (!this.transport) {
+      this.transport = process.env.MAIL_TRANSPORT === 'file'
+        ? new FileTransport(process.env.MAIL_DIR || 'mail')
+        : new ConsoleTransport();
+    }
+    return this.transport;
+  }
+
+  send(mail) {
+    return this.getTransport().send({
+      from: process.env.MAIL_FROM || 'no-reply@localhost',
+      ...mail,
+    });
+  }
+
+  appUrl() {
+    return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  }
+
+  sendPasswordReset(user, token, expiresAt) {
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password of your account. If it was you, use this token:',
+        '',
+        token,
+        '',
+        `Or open ${this.appUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+        '',
+        `It can be used once and expires at ${expiresAt.toISOString()}.`,
+        'If you did not ask for this, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  sendEmailVerification(user, token, expiresAt) {
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Please confirm your email address with this token:',
+        '',
+        token,
+        '',
+        `Or open ${this.appUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+        '',
+        `It expires at ${expiresAt.toISOString()}.`,
+      ].join('\n'),
+    });
+  }
+}
+
+export default new MailService();
@@ -0,0 +1,150 @@
+import prisma from '../config/database.js';
+
+export const REQUEST_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+};
+
+// The request row between two users, whichever of them sent it
+const findBetween = (userId, otherUserId) => prisma.messageRequest.findFirst({
+  where: {
+    OR: [
+      { senderId: userId, receiverId: otherUserId },
+      { senderId: otherUserId, receiverId: userId },
+    ],
+  },
+});
+
+/**
+ * Consent before a direct chat opens. The first message to someone who isn't
+ * a contact yet opens a pending request, and everything the sender writes is
+ * held until the receiver accepts it or replies.
+ */
+class MessageRequestService {
+  // Decide what happens to a direct message and save it: createMessage(tx)
+  // creates the message with the given Prisma client, inside the same
+  // transaction as any change to the request, so a failed save never leaves
+  // a request behind. Returns { status: 'open', message }, plus `accepted`
+  // when this message is a reply that accepts the other side's pending
+  // request; { status: 'held', message, request, created } when it joins a
+  // pending request; or { status: 'declined' } without saving anything.
+  async sendDirect(senderId, receiverId, createMessage) {
+    let request = await findBetween(senderId, receiverId);
+
+    if (!request) {
+      try {
+        return await prisma.$transaction(async (tx) => {
+          const created = await tx.messageRequest.create({ data: { senderId, receiverId } });
+          const message = await createMessage(tx);
+          return { status: 'held', message, request: created, created: true };
+        });
+      } catch (error) {
+        // A concurrent first message between the two, in either direction,
+        // created it; fall through with that one
+        if (error.code !== 'P2002') throw error;
+        request = await findBetween(senderId, receiverId);
+      }
+    }
+
+    if (request.status === REQUEST_STATUS.ACCEPTED) {
+      return { status: 'open', message: await createMessage(prisma) };
+    }
+
+    if (request.senderId === senderId) {
+      return request.status === REQUEST_STATUS.PENDING
+        ? { status: 'held', message: await createMessage(prisma), request, created: false }
+        : { status: 'declined' };
+    }
+
+    // Writing back to someone whose request is pending or was declined
+    // counts as accepting it
+    return prisma.$transaction(async (tx) => {
+      const accepted = await tx.messageRequest.update({
+        where: { id: request.id },
+        data: { status: REQUEST_STATUS.ACCEPTED, respondedAt: new Date() },
+      });
+      const message = await createMessage(tx);
+      return { status: 'open', message, accepted };
+    });
+  }
+
+  // Whether direct messages between the two users are delivered rather than
+  // held as a request
+  async isOpen(userId, otherUserId) {
+    const request = await findBetween(userId, otherUserId);
+    return request?.status === REQUEST_STATUS.ACCEPTED;
+  }
+
+  // Pending requests addressed to this user, newest first, keyset-paginated on
+  // (createdAt, id)
+  listPending(receiverId, { limit, after, senderSelect }) {
+    return prisma.messageRequest.findMany({
+      where: {
+        receiverId,
+        status: REQUEST_STATUS.PENDING,
+        ...(after && {
+          OR: [
+            { createdAt: { lt: new Date(after.at) } },
+            { createdAt: new Date(after.at), id: { lt: after.id } },
+          ],
+        }),
+      },
+      include: { sender: { select: senderSelect } },
+      orderBy: [
+        { createdAt: 'desc' },
+        { id: 'desc' },
+      ],
+      take: limit + 1,
+    });
+  }
+
+  // Accept or decline a pending request addressed to this user. Returns the
+  // updated request, or null when there is no such pending request.
+  async respond(requestId, receiverId, accept) {
+    const { count } = await prisma.messageRequest.updateMany({
+      where: { id: requestId, receiverId, status: REQUEST_STATUS.PENDING },
+      data: {
+        status: accept ? REQUEST_STATUS.ACCEPTED : REQUEST_STATUS.DECLINED,
+        respondedAt: new Date(),
+      },
+    });
+    if (count === 0) return null;
+
+    const request = await prisma.messageRequest.findUnique({ where: { id: requestId } });
+
+    // A declined request's messages disappear from the receiver's view
+    if (!accept) {
+      const held = await prisma.message.findMany({
+        where: { senderId: request.senderId, receiverId, conversationId: null },
+        select: { id: true },
+      });
+      await prisma.hiddenMessage.createMany({
+        data: held.map(message => ({ messageId: message.id, userId: receiverId })),
+        skipDuplicates: true,
+      });
+    }
+
+    return request;
+  }
+
+  // Users this user has an open direct chat with: every accepted request, in
+  // either direction. Each pair has at most one request row, and both sides
+  // of the lookup are indexed, so this costs O(contacts) however long the
+  // chats are.
+  async getContactIds(userId) {
+    const requests = await prisma.messageRequest.findMany({
+      where: {
+        status: REQUEST_STATUS.ACCEPTED,
+        OR: [
+          { senderId: userId },
+          { receiverId: userId },
+        ],
+      },
+      select: { senderId: true, receiverId: true },
+    });
+    return new Set(requests.map(r => (r.senderId === userId ? r.receiverId : r.senderId)));
+  }
+}
+
+export default new MessageRequestService();
@@ -0,0 +1,60 @@
+import prisma from '../config/database.js';
+
+// A mute with no end date, or one that hasn't ended yet
+const activeMute = () => ({
+  OR: [
+    { mutedUntil: null },
+    { mutedUntil: { gt: new Date() } },
+  ],
+});
+
+/**
+ * Per-chat notification mutes. A muted chat still receives message:received;
+ * only message:notification is withheld.
+ */
+class MuteService {
+  // target is { conversationId } for a group or { peerId } for a direct chat;
+  // muting again replaces the end date
+  mute(userId, target, mutedUntil = null) {
+    const where = target.conversationId
+      ? { userId_conversationId: { userId, conversationId: target.conversationId } }
+      : { userId_peerId: { userId, peerId: target.peerId } };
+
+    return prisma.mute.upsert({
+      where,
+      create: { userId, ...target, mutedUntil },
+      update: { mutedUntil },
+    });
+  }
+
+  // Returns false when the chat wasn't muted
+  async unmute(userId, target) {
+    const { count } = await prisma.mute.deleteMany({ where: { userId, ...target } });
+    return count > 0;
+  }
+
+  // Of the given users, those who currently mute this chat
+  async getMutedUserIds(userIds, target) {
+    if (userIds.length === 0) return new Set();
+
+    const mutes = await prisma.mute.findMany({
+      where: { userId: { in: userIds }, ...target, ...activeMute() },
+      select: { userId: true },
+    });
+    return new Set(mutes.map(m => m.userId));
+  }
+
+  // The user's active mutes, as sets of muted group ids and direct-chat peer ids
+  async getActiveMutes(userId) {
+    const mutes = await prisma.mute.findMany({
+      where: { userId, ...activeMute() },
+      select: { conversationId: true, peerId: true },
+    });
+    return {
+      conversationIds: new Set(mutes.filter(m => m.conversationId).map(m => m.conversationId)),
+      peerIds: new Set(mutes.filter(m => m.peerId).map(m => m.peerId)),
+    };
+  }
+}
+
+export default new MuteService();
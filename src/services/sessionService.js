@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import socketService from './socketService.js';
+import { generateToken, accessTokenExpiresIn } from '../utils/jwt.js';
+
+const refreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Rough "Browser on OS" label for a user agent; good enough to tell devices apart
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return null;
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+    ['Postman', /PostmanRuntime/],
+    ['Node.js', /node|undici|axios/i],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser[0]} on ${system[0]}`;
+  if (browser) return browser[0];
+  if (system) return system[0];
+  return 'Unknown device';
+};
+
+/**
+ * Login sessions and their rotating refresh tokens.
+ *
+ * A refresh token is "<sessionId>.<secret>". Only a hash of the current
+ * secret is stored; every refresh replaces it. Presenting an older secret
+ * means the token was copied, so the whole session is revoked.
+ */
+class SessionService {
+  // Start a session and issue its first access/refresh token pair.
+  // device: { userAgent, ipAddress, deviceName } as seen at login.
+  async startSession(userId, device = {}) {
+    const id = crypto.randomUUID();
+    const secret = newSecret();
+    const userAgent = device.userAgent ? device.userAgent.slice(0, 512) : null;
+
+    const session = await prisma.session.create({
+      data: {
+        id,
+        userId,
+        refreshTokenHash: hashSecret(secret),
+        expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+        deviceName: device.deviceName || describeUserAgent(userAgent),
+        userAgent,
+        ipAddress: device.ipAddress || null,
+      },
+    });
+
+    return this.tokenResponse(session, secret);
+  }
+
+  // Exchange a refresh token for a new pair. Returns { error } when the token
+  // is unusable; error is one of 'invalid', 'expired', 'revoked' or 'reused'.
+  async refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!sessionId || !secret) {
+      return { error: 'invalid' };
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+    });
+
+    if (!session) {
+      return { error: 'invalid' };
+    }
+    if (session.revokedAt) {
+      return { error: 'revoked' };
+    }
+    if (session.expiresAt <= new Date()) {
+      return { error: 'expired' };
+    }
+
+    const nextSecret = newSecret();
+
+    // Compare-and-swap so two concurrent refreshes can't both succeed
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: sessionId,
+        refreshTokenHash: hashSecret(secret),
+        revokedAt: null,
+      },
+      data: {
+        refreshTokenHash: hashSecret(nextSecret),
+        lastUsedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      await this.revokeSession(sessionId, 'refresh_token_reuse');
+      return { error: 'reused' };
+    }
+
+    return this.tokenResponse(session, nextSecret);
+  }
+
+  // Load a live session for an access token's sid, with its user
+  findActiveSession(sessionId, userId) {
+    return prisma.session.findFirst({
+      where: {
+        id: sessionId,
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      include: {
+        user: {
+          select: { id: true, username: true, email: true },
+        },
+      },
+    });
+  }
+
+  // Active sessions of a user, most recently used first, with live socket state
+  async listSessions(userId) {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    // Socket counts come from every server, so look them up together
+    const connections = await Promise.all(
+      sessions.map(session => socketService.getSessionSocketCount(session.id))
+    );
+
+    return sessions.map((session, index) => ({
+      id: session.id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      online: connections[index] > 0,
+      connections: connections[index],
+    }));
+  }
+
+  // Revoke a session and drop its live sockets
+  async revokeSession(sessionId, reason) {
+    await prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    socketService.disconnectSession(sessionId, reason);
+  }
+
+  // Revoke every session of a user, optionally keeping the current one
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { id: { not: exceptSessionId } }),
+      },
+      select: { id: true },
+    });
+
+    await Promise.all(sessions.map(session => this.revokeSession(session.id, reason)));
+    return sessions.length;
+  }
+
+  tokenResponse(session, secret) {
+    return {
+      token: generateToken(session.userId, session.id),
+      tokenType: 'Bearer',
+      expiresIn: accessTokenExpiresIn(),
+      refreshToken: `${session.id}.${secret}`,
+      refreshTokenExpiresAt: session.expiresAt,
+      sessionId: session.id,
+    };
+  }
+}
+
+export default new SessionService();
@@ -1,57 +1,275 @@
 import prisma from '../config/database.js';
-import { messageSchema } from '../utils/validation.js';
+import storageService from './storageService.js';
+import clusterService from './clusterService.js';
+import blockService, { notFromBlockRelatedSenders } from './blockService.js';
+import muteService from './muteService.js';
+import messageRequestService, { REQUEST_STATUS } from './messageRequestService.js';
+import { TokenBucketLimiter } from '../utils/tokenBucket.js';
+import { socketRateLimits } from '../config/rateLimits.js';
+import { replyToInclude, attachmentsInclude, toMessagePayload, formatReplyPreview } from '../utils/messageFormat.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import {
+  messageSchema,
+  syncSchema,
+  deliveryReceiptSchema,
+  conversationReadSchema,
+  editMessageSchema,
+  deleteMessageSchema,
+  reactionSchema,
+} from '../utils/validation.js';
+
+// Maximum number of missed messages, and of receipt updates, replayed per
+// sync round
+const SYNC_BATCH_SIZE = 200;
+
+// Messages after the (createdAt, id) position; with no id, after createdAt
+const createdAfter = ({ at, id }) => (id
+  ? {
+    OR: [
+      { createdAt: { gt: at } },
+      { createdAt: at, id: { gt: id } },
+    ],
+  }
+  : { createdAt: { gt: at } });
+
+const isPosition = (position) => typeof position === 'object' && position !== null
+  && !Number.isNaN(Date.parse(position.at))
+  && (position.id === null || typeof position.id === 'string');
+
+// A sync cursor holds where the sync started (since), the last message
+// replayed (message) and, once receipts are being paged, the last receipt
+const isSyncCursor = (decoded) => !Number.isNaN(Date.parse(decoded.since))
+  && isPosition(decoded.message)
+  && (decoded.receipt === null || isPosition(decoded.receipt));
+
+const toPosition = (position) => position && { at: new Date(position.at), id: position.id };
+
+// How long after sending a message its sender may still delete it for everyone
+const deleteWindowMs = () => (parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// How long a user's last socket may be gone before contacts see them offline,
+// so a dropped connection that comes straight back doesn't flap their status
+const offlineDelayMs = () => {
+  const delay = parseInt(process.env.PRESENCE_OFFLINE_DELAY_MS);
+  return Number.isNaN(delay) ? 5000 : delay;
+};
 
 class SocketService {
   constructor() {
     this.io = null;
-    this.onlineUsers = new Map(); // userId -> Set of socketIds
+    this.rateLimiter = new TokenBucketLimiter();
+    this.rateLimits = null; // event -> { capacity, refillPerSec }
+    this.offlineTimers = new Map(); // userId -> pending offline broadcast
   }
 
   initialize(io) {
     this.io = io;
+    clusterService.setStatusListener((userIds, isOnline) => {
+      userIds.forEach(userId => {
+        this.broadcastUserStatus(userId, isOnline)
+          .catch(error => console.error('Presence update error:', error));
+      });
+    });
   }
 
-  // Add user to online users
-  addOnlineUser(userId, socketId) {
-    if (!this.onlineUsers.has(userId)) {
-      this.onlineUsers.set(userId, new Set());
+  // Override the per-event quotas (defaults come from config/rateLimits.js)
+  setRateLimits(limits) {
+    this.rateLimits = limits;
+    this.rateLimiter = new TokenBucketLimiter();
+  }
+
+  getRateLimits() {
+    if (!this.rateLimits) {
+      this.rateLimits = socketRateLimits();
     }
-    this.onlineUsers.get(userId).add(socketId);
+    return this.rateLimits;
   }
 
-  // Remove user from online users
+  // Packet middleware: drop events over the user's quota and tell the client.
+  // Buckets are per user, so opening more sockets doesn't raise the limit.
+  rateLimitMiddleware(socket) {
+    return ([event], next) => {
+      const limit = this.getRateLimits()[event];
+      if (!limit) return next();
+
+      const result = this.rateLimiter.take(`${socket.userId}:${event}`, limit);
+      if (result.allowed) return next();
+
+      socket.emit('rate:limited', {
+        event,
+        error: 'Rate limit exceeded',
+        message: `Too many ${event} events. Please slow down.`,
+        retryAfterMs: result.retryAfterMs,
+        retryAfter: Math.ceil(result.retryAfterMs / 1000),
+      });
+    };
+  }
+
+  // Shared record of which sockets each user has open, on every server
+  presence() {
+    return clusterService.getPresenceStore();
+  }
+
+  // Add user to online users; resolves with how many sockets they now have open
+  addOnlineUser(userId, socketId) {
+    return this.presence().add(userId, socketId);
+  }
+
+  // Remove user from online users; resolves with how many sockets they still have open
   removeOnlineUser(userId, socketId) {
-    if (this.onlineUsers.has(userId)) {
-      this.onlineUsers.get(userId).delete(socketId);
-      if (this.onlineUsers.get(userId).size === 0) {
-        this.onlineUsers.delete(userId);
-      }
-    }
+    return this.presence().remove(userId, socketId);
   }
 
-  // Check if user is online
-  isUserOnline(userId) {
-    return this.onlineUsers.has(userId) && this.onlineUsers.get(userId).size > 0;
+  // Check if user is online, through any server
+  async isUserOnline(userId) {
+    const online = await this.presence().filterOnline([userId]);
+    return online.has(userId);
   }
 
   // Get online status of multiple users
-  getOnlineStatus(userIds) {
+  async getOnlineStatus(userIds) {
+    const online = await this.presence().filterOnline(userIds);
     const status = {};
     userIds.forEach(userId => {
-      status[userId] = this.isUserOnline(userId);
+      status[userId] = online.has(userId);
     });
     return status;
   }
 
+  // Room holding every connected socket of one user, on any server
+  userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  userRooms(userIds) {
+    return [...userIds].map(userId => this.userRoom(userId));
+  }
+
+  // Room holding every connected socket of a group's members
+  conversationRoom(conversationId) {
+    return `conversation:${conversationId}`;
+  }
+
+  // Join all live sockets of the given users to a group's room
+  joinConversation(conversationId, userIds) {
+    if (!this.io || userIds.length === 0) return;
+    this.io.in(this.userRooms(userIds)).socketsJoin(this.conversationRoom(conversationId));
+  }
+
+  // Remove all live sockets of the given users from a group's room
+  leaveConversation(conversationId, userIds) {
+    if (!this.io || userIds.length === 0) return;
+    this.io.in(this.userRooms(userIds)).socketsLeave(this.conversationRoom(conversationId));
+  }
+
+  // Emit an event to every online member of a group
+  emitToConversation(conversationId, event, payload) {
+    if (!this.io) return;
+    this.io.to(this.conversationRoom(conversationId)).emit(event, payload);
+  }
+
+  // Room holding the sockets opened with one login session's tokens
+  sessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  // Number of live sockets opened with a login session's tokens, on any server
+  async getSessionSocketCount(sessionId) {
+    if (!this.io) return 0;
+    const sockets = await this.io.in(this.sessionRoom(sessionId)).fetchSockets();
+    return sockets.length;
+  }
+
+  async isSessionOnline(sessionId) {
+    return (await this.getSessionSocketCount(sessionId)) > 0;
+  }
+
+  // Tell a revoked session's sockets why, then force them to disconnect
+  disconnectSession(sessionId, reason) {
+    if (!this.io) return;
+    const room = this.sessionRoom(sessionId);
+    this.io.to(room).emit('session:revoked', { sessionId, reason });
+    this.io.in(room).disconnectSockets(true);
+  }
+
+  // Emit an event to every live socket of a user, whichever server holds it
+  emitToUser(userId, event, payload) {
+    this.emitToUsers([userId], event, payload);
+  }
+
+  // Emit an event to every live socket of several users as one broadcast, so
+  // a socket is reached once even if it belongs to more than one of them
+  emitToUsers(userIds, event, payload) {
+    if (!this.io || userIds.length === 0) return;
+    this.io.to(this.userRooms(userIds)).emit(event, payload);
+  }
+
+  // Emit an event to everyone who can see a message: both sides of a direct
+  // chat, or every member of its group. Users on either side of a block with
+  // the message's sender, or with actorId when someone else acted on it, are
+  // left out, as they are for the message itself.
+  async emitToMessageParticipants(message, event, payload, actorId = message.senderId) {
+    if (!this.io) return;
+
+    const blockedIds = await blockService.getBlockRelatedIds(message.senderId);
+    if (actorId !== message.senderId) {
+      (await blockService.getBlockRelatedIds(actorId)).forEach(id => blockedIds.add(id));
+    }
+
+    if (message.conversationId) {
+      this.io.to(this.conversationRoom(message.conversationId))
+        .except(this.userRooms(blockedIds))
+        .emit(event, payload);
+      return;
+    }
+    const recipientIds = [message.senderId, message.receiverId].filter(id => !blockedIds.has(id));
+    this.emitToUsers(recipientIds, event, payload);
+  }
+
+  // Join a freshly connected socket to the rooms of all groups its user belongs to
+  async joinConversationRooms(socket) {
+    try {
+      const participations = await prisma.participant.findMany({
+        where: { userId: socket.userId },
+        select: { conversationId: true },
+      });
+      socket.join(participations.map(p => this.conversationRoom(p.conversationId)));
+    } catch (error) {
+      console.error('Join conversation rooms error:', error);
+    }
+  }
+
   // Handle user connection
   handleConnection(socket) {
     const userId = socket.userId;
-    
+
+    // Every emit addressed to this user reaches the socket through its room
+    socket.join(this.userRoom(userId));
+
     // Add user to online users
-    this.addOnlineUser(userId, socket.id);
+    const registered = this.addOnlineUser(userId, socket.id);
+
+    // Enforce per-event quotas before any handler runs
+    socket.use(this.rateLimitMiddleware(socket));
 
-    // Notify user's contacts about online status
-    this.broadcastUserStatus(userId, true);
+    // Track the login session so revoking it can drop this socket
+    if (socket.sessionId) {
+      socket.join(this.sessionRoom(socket.sessionId));
+    }
+
+    // Subscribe to group conversations
+    this.joinConversationRooms(socket);
+
+    // Replay anything missed while offline if the client sent its last-seen position
+    const { lastMessageId, since } = socket.handshake.auth || {};
+    if (lastMessageId || since) {
+      this.syncMissedEvents(socket, { lastMessageId, since });
+    }
+
+    // Notify user's contacts about online status once the socket is recorded
+    registered
+      .then(count => this.userCameOnline(userId, count))
+      .catch(error => console.error('Presence update error:', error));
 
     // Send current online status to the connected user
     socket.emit('user:online', { userId, status: true });
@@ -59,13 +277,17 @@ class SocketService {
     console.log(`User ${userId} connected (socket: ${socket.id})`);
 
     // Handle disconnect
-    socket.on('disconnect', () => {
-      this.removeOnlineUser(userId, socket.id);
-      
-      // Only notify if user is completely offline
-      if (!this.isUserOnline(userId)) {
-        this.broadcastUserStatus(userId, false);
-        console.log(`User ${userId} disconnected`);
+    socket.on('disconnect', async () => {
+      try {
+        await registered;
+        const remaining = await this.removeOnlineUser(userId, socket.id);
+
+        // Only notify if user is completely offline, on every server
+        if (remaining === 0) {
+          this.scheduleOfflineBroadcast(userId);
+        }
+      } catch (error) {
+        console.error('Presence update error:', error);
       }
     });
 
@@ -73,10 +295,17 @@ class SocketService {
     socket.on('message:send', async (data) => {
       try {
         const validatedData = messageSchema.parse(data);
+
+        if (validatedData.conversationId) {
+          await this.sendGroupMessage(socket, validatedData);
+          return;
+        }
         
-        // Verify receiver exists
+        // Verify receiver exists; direct chats can be started by username
         const receiver = await prisma.user.findUnique({
-          where: { id: validatedData.receiverId },
+          where: validatedData.receiverId
+            ? { id: validatedData.receiverId }
+            : { username: validatedData.receiverUsername },
           select: { id: true, username: true, email: true },
         });
 
@@ -86,17 +315,41 @@ class SocketService {
         }
 
         // Prevent self-messaging
-        if (validatedData.receiverId === userId) {
+        if (receiver.id === userId) {
           socket.emit('message:error', { error: 'Cannot send message to yourself' });
           return;
         }
 
-        // Save message to database
-        const message = await prisma.message.create({
+        // A block in either direction closes the direct chat
+        if (await blockService.isBlockedBetween(userId, receiver.id)) {
+          socket.emit('message:error', { error: 'You cannot message this user' });
+          return;
+        }
+
+        if (validatedData.replyToId && !(await this.isValidReplyTarget(validatedData.replyToId, {
+          senderId: userId,
+          receiverId: receiver.id,
+        }))) {
+          socket.emit('message:error', { error: 'Replied-to message not found in this conversation' });
+          return;
+        }
+
+        if (!(await this.ownsPendingAttachments(userId, validatedData.attachmentIds))) {
+          socket.emit('message:error', { error: 'Attachment not found or already sent' });
+          return;
+        }
+
+        // Save message to database; strangers start with a message request
+        // instead of a delivered message
+        const consent = await messageRequestService.sendDirect(userId, receiver.id, tx => tx.message.create({
           data: {
             content: validatedData.content,
             senderId: userId,
-            receiverId: validatedData.receiverId,
+            receiverId: receiver.id,
+            replyToId: validatedData.replyToId,
+            attachments: {
+              connect: validatedData.attachmentIds.map(id => ({ id })),
+            },
           },
           include: {
             sender: {
@@ -113,21 +366,47 @@ class SocketService {
                 email: true,
               },
             },
+            ...replyToInclude,
+            ...attachmentsInclude,
           },
-        });
+        }));
+
+        if (consent.status === 'declined') {
+          socket.emit('message:error', { error: 'This user is not accepting messages from you' });
+          return;
+        }
+        const message = toMessagePayload(consent.message);
 
         // Emit to sender (confirmation)
         socket.emit('message:sent', message);
 
-        // Emit to receiver if online
-        if (this.isUserOnline(validatedData.receiverId)) {
-          const receiverSockets = this.onlineUsers.get(validatedData.receiverId);
-          receiverSockets.forEach(socketId => {
-            this.io.to(socketId).emit('message:received', message);
+        if (consent.status === 'held') {
+          if (consent.created) {
+            socket.emit('message:request_sent', {
+              requestId: consent.request.id,
+              receiverId: receiver.id,
+            });
+          }
+          this.emitToUser(receiver.id, 'message:request', {
+            requestId: consent.request.id,
+            sender: message.sender,
+            message,
           });
+          console.log(`Message from ${userId} to ${receiver.id} held pending their acceptance`);
+          return;
+        }
+
+        // Replying to a request accepts it
+        if (consent.accepted) {
+          this.emitRequestAccepted(consent.accepted);
         }
 
-        console.log(`Message sent from ${userId} to ${validatedData.receiverId}`);
+        // Emit to receiver if online
+        this.emitToUser(receiver.id, 'message:received', message);
+
+        await this.notifyNewMessage(message, [receiver.id], { peerId: userId });
+
+        console.log(`Message sent from ${userId} to ${receiver.id}`);
       } catch (error) {
         console.error('Message send error:', error);
         if (error.name === 'ZodError') {
@@ -141,27 +420,179 @@ class SocketService {
       }
     });
 
-    // Handle typing indicator
-    socket.on('typing:start', (data) => {
-      const { receiverId } = data;
-      if (this.isUserOnline(receiverId)) {
-        const receiverSockets = this.onlineUsers.get(receiverId);
-        receiverSockets.forEach(socketId => {
-          this.io.to(socketId).emit('typing:start', {
-            userId,
-            username: socket.user.username,
+    // Handle explicit catch-up requests (e.g. paging through a large backlog)
+    socket.on('sync', (data) => {
+      this.syncMissedEvents(socket, data);
+    });
+
+    // Handle typing indicator; never relayed across a block
+    const handleTyping = (event) => async (data) => {
+      try {
+        const { receiverId, conversationId } = data;
+        const payload = event === 'typing:start'
+          ? { userId, username: socket.user.username }
+          : { userId };
+
+        if (conversationId) {
+          const room = this.conversationRoom(conversationId);
+          if (socket.rooms.has(room)) {
+            socket.to(room)
+              .except(await this.blockedUserRooms(userId))
+              .emit(event, { ...payload, conversationId });
+          }
+          return;
+        }
+        if (!(await blockService.isBlockedBetween(userId, receiverId))) {
+          this.emitToUser(receiverId, event, payload);
+        }
+      } catch (error) {
+        console.error('Typing indicator error:', error);
+      }
+    };
+
+    socket.on('typing:start', handleTyping('typing:start'));
+    socket.on('typing:stop', handleTyping('typing:stop'));
+
+    // Handle message edits (sender only)
+    socket.on('message:edit', async (data) => {
+      try {
+        const validatedData = editMessageSchema.parse(data);
+        const message = await this.editMessage(userId, validatedData.messageId, validatedData.content);
+
+        if (!message) {
+          socket.emit('message:error', { error: 'Message not found or unauthorized' });
+        }
+      } catch (error) {
+        console.error('Message edit error:', error);
+        if (error.name === 'ZodError') {
+          socket.emit('message:error', { 
+            error: 'Validation error', 
+            details: error.errors 
           });
-        });
+        } else {
+          socket.emit('message:error', { error: 'Failed to edit message' });
+        }
+      }
+    });
+
+    // Handle message deletion, for this user only or for everyone
+    socket.on('message:delete', async (data) => {
+      try {
+        const validatedData = deleteMessageSchema.parse(data);
+        const result = await this.deleteMessage(userId, validatedData.messageId, validatedData.scope);
+
+        if (!result) {
+          socket.emit('message:error', { error: 'Message not found or unauthorized' });
+        } else if (result.error) {
+          socket.emit('message:error', { error: result.error });
+        }
+      } catch (error) {
+        console.error('Message delete error:', error);
+        if (error.name === 'ZodError') {
+          socket.emit('message:error', { 
+            error: 'Validation error', 
+            details: error.errors 
+          });
+        } else {
+          socket.emit('message:error', { error: 'Failed to delete message' });
+        }
       }
     });
 
-    socket.on('typing:stop', (data) => {
-      const { receiverId } = data;
-      if (this.isUserOnline(receiverId)) {
-        const receiverSockets = this.onlineUsers.get(receiverId);
-        receiverSockets.forEach(socketId => {
-          this.io.to(socketId).emit('typing:stop', { userId });
+    // Handle emoji reactions
+    const handleReaction = (add) => async (data) => {
+      try {
+        const validatedData = reactionSchema.parse(data);
+        const result = await this.setReaction(userId, validatedData.messageId, validatedData.emoji, add);
+
+        if (!result) {
+          socket.emit('message:error', { error: 'Message not found or unauthorized' });
+        }
+      } catch (error) {
+        console.error('Reaction error:', error);
+        if (error.name === 'ZodError') {
+          socket.emit('message:error', { 
+            error: 'Validation error', 
+            details: error.errors 
+          });
+        } else {
+          socket.emit('message:error', { error: 'Failed to update reaction' });
+        }
+      }
+    };
+
+    socket.on('reaction:add', handleReaction(true));
+    socket.on('reaction:remove', handleReaction(false));
+
+    // Handle delivery ack, sent by the receiver's client on message:received
+    socket.on('message:delivered', async (data) => {
+      try {
+        const { messageId } = deliveryReceiptSchema.parse(data);
+
+        const message = await prisma.message.findUnique({
+          where: { id: messageId },
         });
+
+        if (!message || message.receiverId !== userId) {
+          socket.emit('message:error', { error: 'Message not found or unauthorized' });
+          return;
+        }
+
+        // Held messages send no receipts until the request is accepted
+        if (!(await this.isReceiptAllowed(message))) return;
+
+        if (!message.deliveredAt) {
+          const deliveredAt = new Date();
+          // Guard against a concurrent ack from another of the receiver's devices
+          const { count } = await prisma.message.updateMany({
+            where: { id: messageId, deliveredAt: null },
+            data: { deliveredAt },
+          });
+
+          // Notify sender if online
+          if (count > 0) {
+            this.emitToUser(message.senderId, 'message:delivered', {
+              messageId,
+              deliveredTo: userId,
+              deliveredAt,
+            });
+          }
+        }
+      } catch (error) {
+        console.error('Delivery receipt error:', error);
+        if (error.name === 'ZodError') {
+          socket.emit('message:error', { 
+            error: 'Validation error', 
+            details: error.errors 
+          });
+        } else {
+          socket.emit('message:error', { error: 'Failed to mark message as delivered' });
+        }
+      }
+    });
+
+    // Handle bulk read receipt for a whole direct chat
+    socket.on('conversation:read', async (data) => {
+      try {
+        const validatedData = conversationReadSchema.parse(data);
+        const result = await this.markConversationRead(userId, validatedData.userId, validatedData.upToMessageId);
+
+        if (!result) {
+          socket.emit('message:error', { error: 'Message not found or unauthorized' });
+          return;
+        }
+
+        socket.emit('conversation:read:confirmed', result);
+      } catch (error) {
+        console.error('Conversation read error:', error);
+        if (error.name === 'ZodError') {
+          socket.emit('message:error', { 
+            error: 'Validation error', 
+            details: error.errors 
+          });
+        } else {
+          socket.emit('message:error', { error: 'Failed to mark conversation as read' });
+        }
       }
     });
 
@@ -179,22 +610,27 @@ class SocketService {
           return;
         }
 
+        // Held messages send no receipts until the request is accepted
+        if (!(await this.isReceiptAllowed(message))) return;
+
         if (!message.read) {
+          const readAt = new Date();
           await prisma.message.update({
             where: { id: messageId },
-            data: { read: true },
+            data: {
+              read: true,
+              readAt,
+              // A message can be read before its delivery ack arrives
+              deliveredAt: message.deliveredAt || readAt,
+            },
           });
 
           // Notify sender if online
-          if (this.isUserOnline(message.senderId)) {
-            const senderSockets = this.onlineUsers.get(message.senderId);
-            senderSockets.forEach(socketId => {
-              this.io.to(socketId).emit('message:read', {
-                messageId,
-                readBy: userId,
-              });
-            });
-          }
+          this.emitToUser(message.senderId, 'message:read', {
+            messageId,
+            readBy: userId,
+            readAt,
+          });
         }
       } catch (error) {
         console.error('Read receipt error:', error);
@@ -203,40 +639,687 @@ class SocketService {
     });
   }
 
-  // Broadcast user online/offline status to their contacts
-  async broadcastUserStatus(userId, isOnline) {
-    // Get all users who have exchanged messages with this user
-    const messages = await prisma.message.findMany({
+  // Receipts and reactions for a direct message are only recorded and sent
+  // once the chat is open; a stranger must not learn their held message was seen
+  isReceiptAllowed(message) {
+    return message.conversationId
+      ? true
+      : messageRequestService.isOpen(message.senderId, message.receiverId);
+  }
+
+  // Mark every unread message from counterpartId to readerId as read, up to
+  // upToMessageId (or the latest one), and send the counterpart a single
+  // aggregated conversation:read receipt. Returns null if the anchor message
+  // isn't part of the chat.
+  async markConversationRead(readerId, counterpartId, upToMessageId) {
+    const anchor = upToMessageId
+      ? await prisma.message.findFirst({
+        where: {
+          id: upToMessageId,
+          OR: [
+            { senderId: counterpartId, receiverId: readerId },
+            { senderId: readerId, receiverId: counterpartId },
+          ],
+        },
+        select: { id: true, createdAt: true },
+      })
+      : await prisma.message.findFirst({
+        where: { senderId: counterpartId, receiverId: readerId },
+        select: { id: true, createdAt: true },
+        orderBy: [
+          { createdAt: 'desc' },
+          { id: 'desc' },
+        ],
+      });
+
+    if (!anchor) {
+      return upToMessageId ? null : { userId: counterpartId, upToMessageId: null, count: 0, readAt: null };
+    }
+
+    // Reading a message request tells its sender nothing until it's accepted
+    if (!(await messageRequestService.isOpen(readerId, counterpartId))) {
+      return { userId: counterpartId, upToMessageId: anchor.id, count: 0, readAt: null };
+    }
+
+    const where = {
+      senderId: counterpartId,
+      receiverId: readerId,
+      read: false,
+      OR: [
+        { createdAt: { lt: anchor.createdAt } },
+        { createdAt: anchor.createdAt, id: { lte: anchor.id } },
+      ],
+    };
+    const readAt = new Date();
+
+    const [, { count }] = await prisma.$transaction([
+      // Messages read before their delivery ack arrived count as delivered now
+      prisma.message.updateMany({
+        where: { ...where, deliveredAt: null },
+        data: { deliveredAt: readAt },
+      }),
+      prisma.message.updateMany({
+        where,
+        data: { read: true, readAt },
+      }),
+    ]);
+
+    if (count > 0) {
+      this.emitToUser(counterpartId, 'conversation:read', {
+        readBy: readerId,
+        upToMessageId: anchor.id,
+        count,
+        readAt,
+      });
+    }
+
+    return { userId: counterpartId, upToMessageId: anchor.id, count, readAt };
+  }
+
+  // Replace a message's content, keeping the previous content as a revision,
+  // and push message:edited to everyone who can see it. Returns null unless
+  // editorId sent the message.
+  async editMessage(editorId, messageId, content) {
+    const message = await this.findVisibleMessage(messageId, editorId);
+
+    if (!message || message.senderId !== editorId || message.deletedAt) {
+      return null;
+    }
+
+    if (message.content === content) {
+      return message;
+    }
+
+    const editedAt = new Date();
+    const [, updated] = await prisma.$transaction([
+      prisma.messageRevision.create({
+        data: {
+          messageId,
+          content: message.content,
+          createdAt: editedAt,
+        },
+      }),
+      prisma.message.update({
+        where: { id: messageId },
+        data: { content, editedAt },
+      }),
+    ]);
+
+    await this.emitToMessageParticipants(updated, 'message:edited', {
+      messageId: updated.id,
+      content: updated.content,
+      editedAt: updated.editedAt,
+      senderId: updated.senderId,
+      receiverId: updated.receiverId,
+      conversationId: updated.conversationId,
+    });
+
+    return updated;
+  }
+
+  // A direct message the user sent or received, or a message in a group they
+  // are still a member of; having sent a group message grants nothing once
+  // they have left or been removed
+  findVisibleMessage(messageId, userId) {
+    return prisma.message.findFirst({
       where: {
+        id: messageId,
         OR: [
-          { senderId: userId },
+          { senderId: userId, conversationId: null },
           { receiverId: userId },
+          { conversation: { participants: { some: { userId } } } },
         ],
       },
-      select: {
-        senderId: true,
-        receiverId: true,
+    });
+  }
+
+  // Add or remove userId's emoji reaction on a message and push the updated
+  // per-emoji counts to everyone who can see it as message:reaction. Returns
+  // null if the message isn't visible to the user, has been deleted, is
+  // still held as a message request, or its sender and the user are on
+  // either side of a block.
+  async setReaction(userId, messageId, emoji, add) {
+    const message = await this.findVisibleMessage(messageId, userId);
+
+    if (
+      !message ||
+      message.deletedAt ||
+      !(await this.isReceiptAllowed(message)) ||
+      (await blockService.isBlockedBetween(userId, message.senderId))
+    ) {
+      return null;
+    }
+
+    if (add) {
+      await prisma.reaction.upsert({
+        where: { messageId_userId_emoji: { messageId, userId, emoji } },
+        create: { messageId, userId, emoji },
+        update: {},
+      });
+    } else {
+      await prisma.reaction.deleteMany({
+        where: { messageId, userId, emoji },
+      });
+    }
+
+    const grouped = await prisma.reaction.groupBy({
+      by: ['emoji'],
+      where: { messageId },
+      _count: { _all: true },
+      orderBy: { _min: { createdAt: 'asc' } },
+    });
+
+    const payload = {
+      messageId,
+      conversationId: message.conversationId,
+      userId,
+      emoji,
+      action: add ? 'added' : 'removed',
+      reactions: grouped.map(row => ({ emoji: row.emoji, count: row._count._all })),
+    };
+
+    await this.emitToMessageParticipants(message, 'message:reaction', payload, userId);
+    return payload;
+  }
+
+  // Delete a message. Scope "me" hides it from userId's view only; scope
+  // "everyone" tombstones it for all participants and is limited to its sender
+  // within the delete window. Emits message:deleted to whoever is affected.
+  // Returns null if the user can't see the message, or { error } if the
+  // deletion isn't allowed.
+  async deleteMessage(userId, messageId, scope) {
+    const message = await this.findVisibleMessage(messageId, userId);
+
+    if (!message) {
+      return null;
+    }
+
+    if (scope === 'me') {
+      await prisma.hiddenMessage.upsert({
+        where: { messageId_userId: { messageId, userId } },
+        create: { messageId, userId },
+        update: {},
+      });
+
+      const payload = { messageId, scope, conversationId: message.conversationId };
+      // Only this user's own devices need to drop it
+      this.emitToUser(userId, 'message:deleted', payload);
+      return payload;
+    }
+
+    if (message.senderId !== userId) {
+      return { error: 'Only the sender can delete a message for everyone' };
+    }
+
+    if (message.deletedAt) {
+      return { messageId, scope, deletedAt: message.deletedAt, conversationId: message.conversationId };
+    }
+
+    if (Date.now() - message.createdAt.getTime() > deleteWindowMs()) {
+      return { error: 'This message is too old to be deleted for everyone' };
+    }
+
+    const attachments = await prisma.attachment.findMany({
+      where: { messageId },
+      select: { storageKey: true },
+    });
+
+    const deletedAt = new Date();
+    await prisma.$transaction([
+      // Earlier versions would otherwise stay readable through the edit history
+      prisma.messageRevision.deleteMany({
+        where: { messageId },
+      }),
+      prisma.attachment.deleteMany({
+        where: { messageId },
+      }),
+      prisma.message.update({
+        where: { id: messageId },
+        data: { content: '', deletedAt },
+      }),
+    ]);
+
+    // Files go last: a failure here leaves an orphaned file, never a dangling row
+    await Promise.all(attachments.map(attachment =>
+      storageService.remove(attachment.storageKey).catch(error => {
+        console.error('Attachment cleanup error:', error);
+      })
+    ));
+
+    const payload = { messageId, scope, deletedAt, conversationId: message.conversationId };
+    await this.emitToMessageParticipants(message, 'message:deleted', payload);
+    return payload;
+  }
+
+  // Attachments can only be sent by their uploader, and only once
+  async ownsPendingAttachments(userId, attachmentIds) {
+    if (attachmentIds.length === 0) return true;
+
+    const count = await prisma.attachment.count({
+      where: {
+        id: { in: attachmentIds },
+        uploaderId: userId,
+        messageId: null,
+        avatarOf: { is: null },
       },
-      distinct: ['senderId', 'receiverId'],
     });
 
-    const contactIds = new Set();
-    messages.forEach(msg => {
-      if (msg.senderId !== userId) contactIds.add(msg.senderId);
-      if (msg.receiverId !== userId) contactIds.add(msg.receiverId);
+    return count === attachmentIds.length;
+  }
+
+  // A reply must quote a message from the same direct chat or group that the
+  // sender can still see: not deleted for everyone, not deleted for them and
+  // not from someone on either side of a block with them
+  async isValidReplyTarget(replyToId, { senderId, receiverId, conversationId }) {
+    const parent = await prisma.message.findFirst({
+      where: {
+        id: replyToId,
+        deletedAt: null,
+        hiddenFor: { none: { userId: senderId } },
+        ...notFromBlockRelatedSenders(senderId),
+      },
+      select: { senderId: true, receiverId: true, conversationId: true },
     });
 
-    // Notify all contacts
-    contactIds.forEach(contactId => {
-      if (this.isUserOnline(contactId)) {
-        const contactSockets = this.onlineUsers.get(contactId);
-        contactSockets.forEach(socketId => {
-          this.io.to(socketId).emit('user:status', {
-            userId,
-            status: isOnline,
+    if (!parent) return false;
+
+    if (conversationId) {
+      return parent.conversationId === conversationId;
+    }
+
+    return parent.conversationId === null && (
+      (parent.senderId === senderId && parent.receiverId === receiverId) ||
+      (parent.senderId === receiverId && parent.receiverId === senderId)
+    );
+  }
+
+  // Persist a group message and fan it out to the group's room
+  async sendGroupMessage(socket, validatedData) {
+    const { conversationId } = validatedData;
+
+    const membership = await prisma.participant.findUnique({
+      where: {
+        conversationId_userId: { conversationId, userId: socket.userId },
+      },
+    });
+
+    if (!membership) {
+      socket.emit('message:error', { error: 'Conversation not found or you are not a member' });
+      return;
+    }
+
+    if (validatedData.replyToId && !(await this.isValidReplyTarget(validatedData.replyToId, { conversationId }))) {
+      socket.emit('message:error', { error: 'Replied-to message not found in this conversation' });
+      return;
+    }
+
+    if (!(await this.ownsPendingAttachments(socket.userId, validatedData.attachmentIds))) {
+      socket.emit('message:error', { error: 'Attachment not found or already sent' });
+      return;
+    }
+
+    // Look up who to deliver to before saving, so nothing can fail between
+    // confirming the send and fanning it out
+    const [blockedIds, members] = await Promise.all([
+      blockService.getBlockRelatedIds(socket.userId),
+      prisma.participant.findMany({
+        where: { conversationId },
+        select: { userId: true },
+      }),
+    ]);
+
+    const created = await prisma.message.create({
+      data: {
+        content: validatedData.content,
+        senderId: socket.userId,
+        conversationId,
+        replyToId: validatedData.replyToId,
+        attachments: {
+          connect: validatedData.attachmentIds.map(id => ({ id })),
+        },
+      },
+      include: {
+        sender: {
+          select: {
+            id: true,
+            username: true,
+            email: true,
+          },
+        },
+        conversation: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+        ...replyToInclude,
+        ...attachmentsInclude,
+      },
+    });
+    const message = toMessagePayload(created);
+
+    // Emit to sender (confirmation)
+    socket.emit('message:sent', message);
+
+    // Every other member socket in the room, including the sender's other devices,
+    // except members on either side of a block with the sender
+    socket.to(this.conversationRoom(conversationId))
+      .except(this.userRooms(blockedIds))
+      .emit('message:received', message);
+
+    const recipientIds = members
+      .map(member => member.userId)
+      .filter(memberId => memberId !== socket.userId && !blockedIds.has(memberId));
+    await this.notifyNewMessage(message, recipientIds, { conversationId });
+
+    console.log(`Message sent from ${socket.userId} to group ${conversationId}`);
+  }
+
+  // Tell both sides a message request was accepted, so the requester's held
+  // messages can be shown as delivered and the receiver's devices can move
+  // the chat from requests to the inbox
+  emitRequestAccepted(request) {
+    const payload = {
+      requestId: request.id,
+      senderId: request.senderId,
+      receiverId: request.receiverId,
+    };
+    this.emitToUsers([request.senderId, request.receiverId], 'message:request_accepted', payload);
+  }
+
+  // Rooms of users on either side of a block with this user, who must not
+  // see their typing in shared groups
+  async blockedUserRooms(userId) {
+    return this.userRooms(await blockService.getBlockRelatedIds(userId));
+  }
+
+  // Emit message:notification for a new message to the online recipients who
+  // haven't muted the chat. target is { conversationId } or, for a direct
+  // chat, { peerId } with the sender's id. The message is already saved and
+  // delivered by then, so a failure here is logged rather than reported to
+  // the sender as a failed send.
+  async notifyNewMessage(message, recipientIds, target) {
+    try {
+      const online = await this.presence().filterOnline(recipientIds);
+      const onlineIds = recipientIds.filter(recipientId => online.has(recipientId));
+      const mutedIds = await muteService.getMutedUserIds(onlineIds, target);
+
+      const notification = {
+        messageId: message.id,
+        conversationId: message.conversationId || null,
+        conversationName: message.conversation ? message.conversation.name : null,
+        sender: message.sender,
+        preview: formatReplyPreview(message).content,
+        createdAt: message.createdAt,
+      };
+
+      this.emitToUsers(
+        onlineIds.filter(recipientId => !mutedIds.has(recipientId)),
+        'message:notification',
+        notification
+      );
+    } catch (error) {
+      console.error('Message notification error:', error);
+    }
+  }
+
+  // Replay message:received, message:delivered and message:read events the user
+  // missed since a given message or timestamp, then emit sync:complete with the
+  // new position. Messages are replayed first, then receipts, each at most
+  // SYNC_BATCH_SIZE per round; a cursor carries on where the last round stopped.
+  async syncMissedEvents(socket, data) {
+    try {
+      const validatedData = syncSchema.parse(data || {});
+      const userId = socket.userId;
+
+      const participations = await prisma.participant.findMany({
+        where: { userId },
+        select: { conversationId: true },
+      });
+      const visibleToUser = {
+        OR: [
+          { senderId: userId },
+          { receiverId: userId },
+          { conversationId: { in: participations.map(p => p.conversationId) } },
+        ],
+      };
+
+      let position; // last message the client has
+      let sinceTime; // receipts are replayed from here
+      let receiptPosition = null; // last receipt replayed, once paging them
+      if (validatedData.cursor) {
+        const cursor = decodeCursor(validatedData.cursor, isSyncCursor);
+
+        if (!cursor) {
+          socket.emit('sync:error', { error: 'Invalid cursor' });
+          return;
+        }
+
+        position = toPosition(cursor.message);
+        sinceTime = new Date(cursor.since);
+        receiptPosition = toPosition(cursor.receipt);
+      } else if (validatedData.lastMessageId) {
+        const anchor = await prisma.message.findFirst({
+          where: { AND: [visibleToUser, { id: validatedData.lastMessageId }] },
+          select: { id: true, createdAt: true },
+        });
+
+        if (!anchor) {
+          socket.emit('sync:error', { error: 'Last seen message not found' });
+          return;
+        }
+
+        position = { at: anchor.createdAt, id: anchor.id };
+        sinceTime = anchor.createdAt;
+      } else {
+        position = { at: validatedData.since, id: null };
+        sinceTime = validatedData.since;
+      }
+
+      const missed = await prisma.message.findMany({
+        where: {
+          AND: [
+            createdAfter(position),
+            { senderId: { not: userId } },
+            { deletedAt: null },
+            { hiddenFor: { none: { userId } } },
+            notFromBlockRelatedSenders(userId),
+            {
+              OR: [
+                // Held message requests are listed at GET /api/messages/requests instead
+                {
+                  receiverId: userId,
+                  sender: {
+                    messageRequestsSent: {
+                      none: { receiverId: userId, status: { not: REQUEST_STATUS.ACCEPTED } },
+                    },
+                  },
+                },
+                { conversationId: { in: participations.map(p => p.conversationId) } },
+              ],
+            },
+          ],
+        },
+        include: {
+          sender: {
+            select: {
+              id: true,
+              username: true,
+              email: true,
+            },
+          },
+          receiver: {
+            select: {
+              id: true,
+              username: true,
+              email: true,
+            },
+          },
+          conversation: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+          ...replyToInclude,
+          ...attachmentsInclude,
+        },
+        orderBy: [
+          { createdAt: 'asc' },
+          { id: 'asc' },
+        ],
+        take: SYNC_BATCH_SIZE + 1,
+      });
+
+      const moreMessages = missed.length > SYNC_BATCH_SIZE;
+      const messages = missed.slice(0, SYNC_BATCH_SIZE).map(toMessagePayload);
+
+      messages.forEach(message => {
+        socket.emit('message:received', message);
+      });
+
+      const last = messages[messages.length - 1];
+      if (last) {
+        position = { at: last.createdAt, id: last.id };
+      }
+
+      // Delivery and read transitions on messages this user sent, since the
+      // point the sync started. Paged once every missed message is replayed.
+      const receiptPage = moreMessages ? [] : await prisma.message.findMany({
+        where: {
+          AND: [
+            { senderId: userId, receiverId: { not: null } },
+            {
+              OR: [
+                { deliveredAt: { gt: sinceTime } },
+                { readAt: { gt: sinceTime } },
+              ],
+            },
+            ...(receiptPosition ? [createdAfter(receiptPosition)] : []),
+          ],
+        },
+        select: { id: true, receiverId: true, deliveredAt: true, readAt: true, createdAt: true },
+        orderBy: [
+          { createdAt: 'asc' },
+          { id: 'asc' },
+        ],
+        take: SYNC_BATCH_SIZE + 1,
+      });
+
+      const moreReceipts = receiptPage.length > SYNC_BATCH_SIZE;
+      const receipts = receiptPage.slice(0, SYNC_BATCH_SIZE);
+      const lastReceipt = receipts[receipts.length - 1];
+      if (lastReceipt) {
+        receiptPosition = { at: lastReceipt.createdAt, id: lastReceipt.id };
+      }
+
+      let deliveries = 0;
+      let reads = 0;
+      receipts.forEach(message => {
+        if (message.deliveredAt > sinceTime) {
+          deliveries += 1;
+          socket.emit('message:delivered', {
+            messageId: message.id,
+            deliveredTo: message.receiverId,
+            deliveredAt: message.deliveredAt,
+          });
+        }
+        if (message.readAt > sinceTime) {
+          reads += 1;
+          socket.emit('message:read', {
+            messageId: message.id,
+            readBy: message.receiverId,
+            readAt: message.readAt,
           });
+        }
+      });
+
+      const hasMore = moreMessages || moreReceipts;
+
+      socket.emit('sync:complete', {
+        replayed: {
+          messages: messages.length,
+          deliveries,
+          reads,
+        },
+        hasMore,
+        lastMessageId: position.id,
+        // Send this back as { cursor } to fetch the next batch
+        ...(hasMore && {
+          cursor: encodeCursor({
+            since: sinceTime,
+            message: position,
+            receipt: receiptPosition,
+          }),
+        }),
+      });
+    } catch (error) {
+      console.error('Sync error:', error);
+      if (error.name === 'ZodError') {
+        socket.emit('sync:error', { 
+          error: 'Validation error', 
+          details: error.errors 
         });
+      } else {
+        socket.emit('sync:error', { error: 'Failed to sync missed events' });
+      }
+    }
+  }
+
+  // A socket was recorded for the user; count is how many they now have open.
+  // Only the first one is news to their contacts, and not even that when it
+  // replaces a socket that dropped moments ago.
+  async userCameOnline(userId, count) {
+    const pending = this.offlineTimers.get(userId);
+    if (pending) {
+      clearTimeout(pending);
+      this.offlineTimers.delete(userId);
+      return;
+    }
+    if (count === 1) {
+      await this.broadcastUserStatus(userId, true);
+    }
+  }
+
+  // The user's last socket closed: tell contacts they went offline unless
+  // they reconnect within the grace period
+  scheduleOfflineBroadcast(userId) {
+    clearTimeout(this.offlineTimers.get(userId));
+
+    const timer = setTimeout(async () => {
+      this.offlineTimers.delete(userId);
+      try {
+        // They may have come back through another server
+        if (await this.isUserOnline(userId)) return;
+        await this.broadcastUserStatus(userId, false);
+        console.log(`User ${userId} disconnected`);
+      } catch (error) {
+        console.error('Presence update error:', error);
       }
+    }, offlineDelayMs());
+    timer.unref();
+    this.offlineTimers.set(userId, timer);
+  }
+
+  // Emit an event to every online contact of a user, skipping anyone on
+  // either side of a block with them
+  async emitToContacts(userId, event, payload) {
+    const [contactIds, blockedIds] = await Promise.all([
+      messageRequestService.getContactIds(userId),
+      blockService.getBlockRelatedIds(userId),
+    ]);
+    this.emitToUsers(
+      [...contactIds].filter(contactId => !blockedIds.has(contactId)),
+      event,
+      payload
+    );
+  }
+
+  // Broadcast user online/offline status to their contacts
+  async broadcastUserStatus(userId, isOnline) {
+    await this.emitToContacts(userId, 'user:status', {
+      userId,
+      status: isOnline,
     });
   }
 }
@@ -0,0 +1,35 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Stores files on the local filesystem under a root directory.
+ * Keys are relative paths such as "2026/01/<uuid>".
+ */
+export class LocalStorageDriver {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Resolve a key inside the root, refusing anything that escapes it
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
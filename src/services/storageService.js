@@ -0,0 +1,52 @@
+import { randomUUID } from 'crypto';
+import { LocalStorageDriver } from './storage/localDriver.js';
+
+/**
+ * Facade over the configured storage driver.
+ *
+ * A driver is any object implementing:
+ *   save(key, buffer)      -> Promise<void>
+ *   createReadStream(key)  -> Readable
+ *   remove(key)            -> Promise<void>
+ *
+ * The local filesystem driver is used by default; call setDriver() at startup
+ * to plug in another backend (e.g. object storage).
+ */
+class StorageService {
+  constructor() {
+    this.driver = null;
+  }
+
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  // Created on first use so UPLOAD_DIR from .env is already loaded
+  getDriver() {
+    if (!this.driver) {
+      this.driver = new LocalStorageDriver(process.env.UPLOAD_DIR || 'uploads');
+    }
+    return this.driver;
+  }
+
+  // Build a fresh key, bucketed by month to keep directories small
+  createKey() {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    return `${now.getUTCFullYear()}/${month}/${randomUUID()}`;
+  }
+
+  save(key, buffer) {
+    return this.getDriver().save(key, buffer);
+  }
+
+  createReadStream(key) {
+    return this.getDriver().createReadStream(key);
+  }
+
+  remove(key) {
+    return this.getDriver().remove(key);
+  }
+}
+
+export default new StorageService();
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { generateSecret, verifyCode, otpauthUri } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Recovery codes are compared without case or the dash
+const normalizeRecoveryCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// "XXXXX-XXXXX" from an alphabet without look-alike characters
+const newRecoveryCode = () => {
+  const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+/**
+ * TOTP two-factor authentication. Enrollment stores a secret that only takes
+ * effect once a code from the authenticator app has been confirmed.
+ */
+class TwoFactorService {
+  issuer() {
+    return process.env.TOTP_ISSUER || 'Realtime Chat';
+  }
+
+  // Store a fresh pending secret and return what the authenticator app needs
+  async beginEnrollment(user) {
+    const secret = generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: secret, twoFactorEnabledAt: null, twoFactorLastStep: null },
+    });
+
+    return {
+      secret,
+      otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: this.issuer() }),
+    };
+  }
+
+  // Check a TOTP code, rejecting one already used. Returns true when accepted.
+  async verifyTotp(user, code) {
+    if (!user.twoFactorSecret) return false;
+
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null) return false;
+
+    // Record the step only if it is newer than the last one, in one statement,
+    // so the same code can't be accepted twice even by concurrent requests
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+
+    return count === 1;
+  }
+
+  // Confirm enrollment with a first code. Returns { recoveryCodes }, or
+  // { error } where error is 'not_enrolled', 'already_enabled' or 'invalid_code'.
+  async enable(userId, code) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user.twoFactorSecret) {
+      return { error: 'not_enrolled' };
+    }
+    if (user.twoFactorEnabledAt) {
+      return { error: 'already_enabled' };
+    }
+    if (!(await this.verifyTotp(user, code))) {
+      return { error: 'invalid_code' };
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorEnabledAt: new Date() },
+    });
+
+    return { recoveryCodes: await this.regenerateRecoveryCodes(userId) };
+  }
+
+  // Second login step: a TOTP code or an unused recovery code.
+  // Returns { method, remainingRecoveryCodes } or null when neither is valid.
+  async verifyLogin(user, { code, recoveryCode }) {
+    if (code) {
+      return (await this.verifyTotp(user, code)) ? { method: 'totp' } : null;
+    }
+
+    const { count } = await prisma.recoveryCode.updateMany({
+      where: { userId: user.id, codeHash: hashRecoveryCode(recoveryCode), usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    if (count === 0) return null;
+
+    const remainingRecoveryCodes = await prisma.recoveryCode.count({
+      where: { userId: user.id, usedAt: null },
+    });
+    return { method: 'recovery_code', remainingRecoveryCodes };
+  }
+
+  // Replace all recovery codes; the plain codes are only ever returned here
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.createMany({
+        data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) })),
+      }),
+    ]);
+
+    return codes;
+  }
+
+  async disable(userId) {
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.user.update({
+        where: { id: userId },
+        data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null },
+      }),
+    ]);
+  }
+}
+
+export default new TwoFactorService();
@@ -0,0 +1,12 @@
+// Pagination cursors are opaque to clients: base64url JSON of the last item's sort key
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Returns the decoded payload, or null when it is malformed or fails isValid
+export const decodeCursor = (cursor, isValid) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return isValid(decoded) ? decoded : null;
+  } catch {
+    return null;
+  }
+};
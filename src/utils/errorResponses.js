@@ -0,0 +1,21 @@
+// Error responses shared by the controllers
+
+export const validationErrorResponse = (res, error, example) => res.status(400).json({
+  success: false,
+  error: 'Validation error',
+  message: 'Please check your request data. The following fields have errors:',
+  details: error.errors.map(err => ({
+    field: err.path.join('.'),
+    message: err.message,
+    received: err.input
+  })),
+  example
+});
+
+// action completes "An unexpected error occurred while ..."
+export const internalErrorResponse = (res, error, action) => res.status(500).json({
+  success: false,
+  error: 'Internal server error',
+  message: `An unexpected error occurred while ${action}. Please try again later.`,
+  ...(process.env.NODE_ENV === 'development' && { details: error.message })
+});
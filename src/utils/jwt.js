@@ -1,10 +1,13 @@
 import jwt from 'jsonwebtoken';
 
-export const generateToken = (userId) => {
+// Access tokens are short-lived; clients renew them with a refresh token
+export const accessTokenExpiresIn = () => process.env.JWT_EXPIRES_IN || '15m';
+
+export const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: accessTokenExpiresIn() }
   );
 };
 
@@ -12,4 +15,22 @@ export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
+// Short-lived token proving the password step of a login when 2FA is on.
+// It has no session id, so it is never accepted as an access token.
+export const mfaTokenExpiresIn = () => process.env.MFA_TOKEN_EXPIRES_IN || '5m';
 
+export const generateMfaToken = (userId) => {
+  return jwt.sign(
+    { userId, purpose: 'mfa' },
+    process.env.JWT_SECRET,
+    { expiresIn: mfaTokenExpiresIn() }
+  );
+};
+
+export const verifyMfaToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'mfa') {
+    throw new jwt.JsonWebTokenError('Not an MFA token');
+  }
+  return decoded;
+};
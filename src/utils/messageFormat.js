@@ -0,0 +1,93 @@
+// Shared shaping of message payloads for REST responses and Socket.IO events
+
+// Length of the quoted parent text embedded in replies
+const REPLY_PREVIEW_LENGTH = 100;
+
+// Prisma include for the parent of a reply
+export const replyToInclude = {
+  replyTo: {
+    select: {
+      id: true,
+      content: true,
+      senderId: true,
+      deletedAt: true,
+      createdAt: true,
+      sender: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+    },
+  },
+};
+
+// Short preview of a reply's parent message, or null when it isn't a reply
+export const formatReplyPreview = (parent) => {
+  if (!parent) return null;
+
+  const content = parent.deletedAt ? null : parent.content;
+
+  return {
+    id: parent.id,
+    content: content && content.length > REPLY_PREVIEW_LENGTH
+      ? `${content.slice(0, REPLY_PREVIEW_LENGTH)}…`
+      : content,
+    sender: parent.sender,
+    deleted: Boolean(parent.deletedAt),
+    createdAt: parent.createdAt
+  };
+};
+
+// Thumbnails are sized to fit inside this box, keeping the aspect ratio
+const THUMBNAIL_MAX_DIMENSION = 320;
+
+// Prisma include for a message's attachments
+export const attachmentsInclude = {
+  attachments: {
+    select: {
+      id: true,
+      fileName: true,
+      mimeType: true,
+      size: true,
+      width: true,
+      height: true,
+    },
+    orderBy: {
+      createdAt: 'asc',
+    },
+  },
+};
+
+// Dimensions a client should render an image preview at
+export const thumbnailSize = (width, height) => {
+  if (!width || !height) return null;
+  const scale = Math.min(1, THUMBNAIL_MAX_DIMENSION / Math.max(width, height));
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale)
+  };
+};
+
+export const formatAttachment = (attachment) => ({
+  id: attachment.id,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  url: `/api/attachments/${attachment.id}`,
+  ...(attachment.width && attachment.height && {
+    image: {
+      width: attachment.width,
+      height: attachment.height,
+      thumbnail: thumbnailSize(attachment.width, attachment.height)
+    }
+  })
+});
+
+// Socket payload for a message loaded with replyToInclude and attachmentsInclude
+export const toMessagePayload = (message) => ({
+  ...message,
+  replyTo: formatReplyPreview(message.replyTo),
+  attachments: message.attachments.map(formatAttachment),
+});
+
@@ -47,17 +47,49 @@ export class SocketClient {
       this.socket.on('message:received', (message) => {
         console.log('\n📨 NEW MESSAGE RECEIVED:');
         console.log(`   From: ${message.sender.username} (${message.sender.email})`);
+        if (message.conversation) {
+          console.log(`   Group: ${message.conversation.name}`);
+        }
+        if (message.replyTo) {
+          console.log(`   Replying to: ${message.replyTo.content ?? '(deleted message)'}`);
+        }
         console.log(`   Content: ${message.content}`);
+        message.attachments?.forEach(attachment => {
+          console.log(`   📎 ${attachment.fileName} (${attachment.mimeType}, ${attachment.size} bytes): ${this.serverUrl}${attachment.url}`);
+        });
         console.log(`   Time: ${new Date(message.createdAt).toLocaleString()}`);
         this.messages.push(message);
+        if (message.receiverId) {
+          this.socket.emit('message:delivered', { messageId: message.id });
+        }
       });
 
       this.socket.on('message:sent', (message) => {
         console.log('\n✅ Message sent successfully!');
-        console.log(`   To: ${message.receiver.username}`);
+        console.log(`   To: ${message.conversation ? `group ${message.conversation.name}` : message.receiver.username}`);
         console.log(`   Content: ${message.content}`);
       });
 
+      // First messages from people who aren't contacts yet wait for acceptance
+      this.socket.on('message:request', (data) => {
+        console.log(`\n📩 MESSAGE REQUEST from ${data.sender.username}: ${data.message.content}`);
+        console.log(`   Accept with POST /api/messages/requests/${data.requestId}/accept`);
+      });
+
+      this.socket.on('message:request_sent', (data) => {
+        console.log(`\n📩 Message request sent; it will be delivered once ${data.receiverId} accepts`);
+      });
+
+      this.socket.on('message:request_accepted', (data) => {
+        console.log(`\n🤝 Message request ${data.requestId} accepted`);
+      });
+
+      // Only for chats you haven't muted; the message itself arrives via message:received
+      this.socket.on('message:notification', (notification) => {
+        const where = notification.conversationName ? ` in ${notification.conversationName}` : '';
+        console.log(`\n🔔 ${notification.sender.username}${where}: ${notification.preview ?? ''}`);
+      });
+
       this.socket.on('message:error', (error) => {
         console.error('\n❌ Message error:', error.error);
         if (error.details) {
@@ -65,6 +97,10 @@ export class SocketClient {
         }
       });
 
+      this.socket.on('rate:limited', (data) => {
+        console.error(`\n⏳ Slow down: ${data.event} is rate limited, retry in ${data.retryAfter}s`);
+      });
+
       // Listen for user status
       this.socket.on('user:online', (data) => {
         console.log(`\n✅ User online: ${data.userId}`);
@@ -77,6 +113,10 @@ export class SocketClient {
         console.log(`   Status: ${status}`);
       });
 
+      this.socket.on('user:updated', (profile) => {
+        console.log(`\n👤 ${profile.username} updated their profile (${profile.displayName})`);
+      });
+
       // Listen for typing indicators
       this.socket.on('typing:start', (data) => {
         console.log(`\n⌨️  ${data.username || data.userId} is typing...`);
@@ -86,6 +126,16 @@ export class SocketClient {
         console.log(`\n⌨️  User ${data.userId} stopped typing`);
       });
 
+      // Listen for reconnect catch-up results
+      this.socket.on('sync:complete', (data) => {
+        console.log(`\n🔄 Synced ${data.replayed.messages} missed message(s), ${data.replayed.deliveries} delivery and ${data.replayed.reads} read receipt(s)`);
+      });
+
+      // Listen for delivery receipts
+      this.socket.on('message:delivered', (data) => {
+        console.log(`\n✓ Message ${data.messageId} was delivered to user ${data.deliveredTo}`);
+      });
+
       // Listen for read receipts
       this.socket.on('message:read', (data) => {
         console.log(`\n✓ Message ${data.messageId} was read by user ${data.readBy}`);
@@ -101,16 +151,21 @@ export class SocketClient {
     }
   }
 
-  sendMessage(receiverId, content) {
+  // receiver is a user ID, or a username (optionally prefixed with @)
+  sendMessage(receiver, content) {
     if (!this.isConnected) {
       console.error('❌ Not connected. Please connect first.');
       return;
     }
 
-    console.log(`\n📤 Sending message to ${receiverId}...`);
+    const isUserId = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(receiver);
+
+    console.log(`\n📤 Sending message to ${receiver}...`);
     this.socket.emit('message:send', {
       content: content,
-      receiverId: receiverId
+      ...(isUserId
+        ? { receiverId: receiver }
+        : { receiverUsername: receiver.replace(/^@/, '') })
     });
   }
 
@@ -169,11 +224,11 @@ export class SocketClient {
           break;
         case 'send':
           if (args.length < 2) {
-            console.log('❌ Usage: send <receiverId> <message>');
+            console.log('❌ Usage: send <receiverId|username> <message>');
           } else {
-            const receiverId = args[0];
+            const receiver = args[0];
             const message = args.slice(1).join(' ');
-            this.sendMessage(receiverId, message);
+            this.sendMessage(receiver, message);
           }
           break;
         case 'typing':
@@ -230,7 +285,7 @@ export class SocketClient {
 
   showHelp() {
     console.log('\n📖 Available Commands:');
-    console.log('   send <receiverId> <message>  - Send a message');
+    console.log('   send <receiverId|username> <message> - Send a message');
     console.log('   typing <receiverId>           - Start typing indicator');
     console.log('   stoptyping <receiverId>        - Stop typing indicator');
     console.log('   read <messageId>              - Mark message as read');
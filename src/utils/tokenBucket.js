@@ -0,0 +1,54 @@
+/**
+ * In-memory token buckets, one per key.
+ *
+ * A bucket holds up to `capacity` tokens and regains `refillPerSec` tokens a
+ * second. Every action takes one; when the bucket is empty the action is
+ * refused with the time until the next token.
+ */
+export class TokenBucketLimiter {
+  constructor({ now = Date.now } = {}) {
+    this.buckets = new Map(); // key -> { tokens, updatedAt, capacity, refillPerSec }
+    this.now = now;
+  }
+
+  // Take one token for key. Returns { allowed, remaining, retryAfterMs }.
+  take(key, { capacity, refillPerSec }) {
+    const now = this.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    const elapsedSec = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSec * refillPerSec);
+    bucket.updatedAt = now;
+    bucket.capacity = capacity;
+    bucket.refillPerSec = refillPerSec;
+
+    if (bucket.tokens < 1) {
+      this.buckets.set(key, bucket);
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: Math.ceil(((1 - bucket.tokens) / refillPerSec) * 1000),
+      };
+    }
+
+    bucket.tokens -= 1;
+    this.buckets.set(key, bucket);
+
+    if (this.buckets.size > 10000) {
+      this.sweep(now);
+    }
+
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+  }
+
+  // Drop buckets that have refilled completely; a missing bucket counts as
+  // full, so this changes nothing but memory use
+  sweep(now = this.now()) {
+    for (const [key, bucket] of this.buckets) {
+      const elapsedSec = (now - bucket.updatedAt) / 1000;
+      if (bucket.tokens + elapsedSec * bucket.refillPerSec >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
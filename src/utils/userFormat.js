@@ -0,0 +1,31 @@
+// Fields needed to build a public profile
+export const publicUserSelect = {
+  id: true,
+  username: true,
+  displayName: true,
+  bio: true,
+  avatarUrl: true,
+  avatarAttachmentId: true,
+  createdAt: true,
+};
+
+// An uploaded avatar is served like any attachment; otherwise the external URL
+export const formatAvatar = (user) => {
+  if (user.avatarAttachmentId) {
+    return { url: `/api/attachments/${user.avatarAttachmentId}`, attachmentId: user.avatarAttachmentId };
+  }
+  if (user.avatarUrl) {
+    return { url: user.avatarUrl, attachmentId: null };
+  }
+  return null;
+};
+
+// Profile anyone signed in may see; never includes the email address
+export const formatPublicProfile = (user) => ({
+  id: user.id,
+  username: user.username,
+  displayName: user.displayName || user.username,
+  bio: user.bio,
+  avatar: formatAvatar(user),
+  createdAt: user.createdAt,
+});
@@ -11,15 +11,188 @@ export const loginSchema = z.object({
   password: z.string().min(1),
 });
 
+export const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1),
+});
+
+export const forgotPasswordSchema = z.object({
+  email: z.string().email(),
+});
+
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1),
+  password: z.string().min(6),
+});
+
+export const verifyEmailSchema = z.object({
+  token: z.string().min(1),
+});
+
+const totpCode = z.string().regex(/^\d{6}$/, 'Must be the 6-digit code from your authenticator app');
+
+export const twoFactorCodeSchema = z.object({
+  code: totpCode,
+});
+
+// Second login step: either a TOTP code or one of the recovery codes
+export const loginTwoFactorSchema = z.object({
+  mfaToken: z.string().min(1),
+  code: totpCode.optional(),
+  recoveryCode: z.string().min(1).max(20).optional(),
+}).refine(data => Boolean(data.code) !== Boolean(data.recoveryCode), {
+  message: 'Provide either code or recoveryCode, but not both',
+  path: ['code'],
+});
+
+export const disableTwoFactorSchema = z.object({
+  password: z.string().min(1),
+  code: totpCode,
+});
+
+export const userSearchSchema = z.object({
+  q: z.string().trim().min(1).max(50),
+  limit: z.number().int().positive().max(50).optional().default(20),
+  cursor: z.string().min(1).optional(),
+});
+
+// Every field is optional; null clears displayName, bio or the avatar
+export const updateProfileSchema = z.object({
+  displayName: z.string().trim().min(1).max(50).nullable().optional(),
+  bio: z.string().trim().max(300).nullable().optional(),
+  avatarUrl: z.string().url().max(2048)
+    .refine(url => /^https?:\/\//i.test(url), 'Avatar URL must use http or https')
+    .nullable().optional(),
+  avatarAttachmentId: z.string().uuid().nullable().optional(),
+  currentPassword: z.string().min(1).optional(),
+  newPassword: z.string().min(6).optional(),
+}).refine(data => !(data.avatarUrl && data.avatarAttachmentId), {
+  message: 'Provide either avatarUrl or avatarAttachmentId, but not both',
+  path: ['avatarUrl'],
+}).refine(data => !data.newPassword || data.currentPassword, {
+  message: 'currentPassword is required to change the password',
+  path: ['currentPassword'],
+}).refine(data => Object.values(data).some(value => value !== undefined), {
+  message: 'Provide at least one field to update',
+  path: [],
+});
+
+// Mute a chat for a number of minutes, or until unmuted when omitted
+export const muteSchema = z.object({
+  minutes: z.number().int().positive().max(525600).optional(),
+});
+
+// A message targets either a single user (receiverId, or receiverUsername to
+// start a chat by name) or a group (conversationId)
 export const messageSchema = z.object({
+  content: z.string().max(1000).optional().default(''),
+  receiverId: z.string().uuid().optional(),
+  receiverUsername: z.string().min(1).max(30).optional(),
+  conversationId: z.string().uuid().optional(),
+  replyToId: z.string().uuid().optional(),
+  attachmentIds: z.array(z.string().uuid()).max(10).optional().default([])
+    .transform(ids => [...new Set(ids)]),
+}).refine(data => [data.receiverId, data.receiverUsername, data.conversationId].filter(Boolean).length === 1, {
+  message: 'Provide exactly one of receiverId, receiverUsername or conversationId',
+  path: ['receiverId'],
+}).refine(data => data.content.length > 0 || data.attachmentIds.length > 0, {
+  message: 'A message needs content or at least one attachment',
+  path: ['content'],
+});
+
+export const editMessageSchema = z.object({
+  messageId: z.string().uuid(),
   content: z.string().min(1).max(1000),
-  receiverId: z.string().uuid(),
 });
 
-export const chatHistorySchema = z.object({
+// "me" hides the message for the requesting user; "everyone" tombstones it for all
+export const deleteMessageSchema = z.object({
+  messageId: z.string().uuid(),
+  scope: z.enum(['me', 'everyone']).optional().default('me'),
+});
+
+// One emoji glyph of any of the kinds keyboards produce: a flag, a keycap, a
+// subdivision flag, or pictographs (each shown as emoji and optionally skin
+// toned) joined by ZWJ. A lone regional indicator is half a flag. Written
+// without the /v flag's \p{RGI_Emoji} so it still compiles on Node 18.
+const EMOJI_PICTOGRAPH = '(?!\\p{Regional_Indicator})(?:\\p{Emoji_Modifier_Base}\\p{Emoji_Modifier}|\\p{Emoji_Presentation}|\\p{Extended_Pictographic}\\ufe0f)';
+const EMOJI_PATTERN = new RegExp([
+  '^(?:\\p{Regional_Indicator}{2}',
+  '[0-9#*]\\ufe0f\\u20e3',
+  '\\u{1F3F4}[\\u{E0061}-\\u{E007A}]+\\u{E007F}',
+  `${EMOJI_PICTOGRAPH}(?:\\u200d${EMOJI_PICTOGRAPH})*)$`,
+].join('|'), 'u');
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Exactly one grapheme, and that grapheme is an emoji
+const isSingleEmoji = (value) => [...graphemes.segment(value)].length === 1 && EMOJI_PATTERN.test(value);
+
+export const reactionSchema = z.object({
+  messageId: z.string().uuid(),
+  emoji: z.string().min(1).max(32).refine(isSingleEmoji, 'Must be a single emoji'),
+});
+
+export const deliveryReceiptSchema = z.object({
+  messageId: z.string().uuid(),
+});
+
+// Mark everything received from userId as read, up to and including upToMessageId
+// (defaults to the latest message in the chat)
+export const conversationReadSchema = z.object({
   userId: z.string().uuid(),
+  upToMessageId: z.string().uuid().optional(),
+});
+
+export const chatHistorySchema = z.object({
+  userId: z.string().uuid().optional(),
+  conversationId: z.string().uuid().optional(),
   limit: z.number().int().positive().max(100).optional().default(50),
   offset: z.number().int().nonnegative().optional().default(0),
+  before: z.string().uuid().optional(),
+  after: z.string().uuid().optional(),
+}).refine(data => Boolean(data.userId) !== Boolean(data.conversationId), {
+  message: 'Provide either userId or conversationId',
+  path: ['userId'],
+}).refine(data => !(data.before && data.after), {
+  message: 'Use either before or after, not both',
+  path: ['before'],
+});
+
+export const createConversationSchema = z.object({
+  name: z.string().min(1).max(100),
+  memberIds: z.array(z.string().uuid()).max(100).optional().default([]),
+});
+
+export const addMembersSchema = z.object({
+  memberIds: z.array(z.string().uuid()).min(1).max(100),
+});
+
+export const inboxSchema = z.object({
+  limit: z.number().int().positive().max(50).optional().default(20),
+  cursor: z.string().min(1).optional(),
 });
 
+// Catch-up after (re)connecting: anchor on the last message the client saw, or a timestamp
+// cursor continues a sync that reported hasMore
+export const syncSchema = z.object({
+  lastMessageId: z.string().uuid().optional(),
+  since: z.coerce.date().optional(),
+  cursor: z.string().min(1).optional(),
+}).refine(data => [data.lastMessageId, data.since, data.cursor].filter(Boolean).length === 1, {
+  message: 'Provide one of lastMessageId, since or cursor',
+  path: ['lastMessageId'],
+});
+
+export const searchSchema = z.object({
+  q: z.string().trim().min(1).max(200),
+  with: z.string().uuid().optional(),
+  conversationId: z.string().uuid().optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  limit: z.number().int().positive().max(50).optional().default(20),
+  cursor: z.string().min(1).optional(),
+}).refine(data => !(data.with && data.conversationId), {
+  message: 'Filter by either a user (with) or a group (conversationId), not both',
+  path: ['with'],
+});
 